@@ -0,0 +1,119 @@
+// ============================================
+// AI PLATFORMER BATTLE - AI Console
+// ============================================
+//
+// One player's console panel: what its AI printed with console.log, warn
+// and error, plus its errors and timeouts, each line tagged with the tick
+// and level it came from. It sits under the player's screen during the
+// match and moves to the results screen afterwards, so the log can be read
+// through once the match is over.
+
+const AI_CONSOLE_MAX_ENTRIES = 1000; // Oldest lines are dropped past this
+
+// Which line types each filter shows
+const AI_CONSOLE_FILTERS = {
+    all: ['log', 'warn', 'error'],
+    warn: ['warn', 'error'],
+    error: ['error']
+};
+
+class AIConsole {
+    constructor() {
+        this.entries = []; // { tick, level, type, text, count }, oldest first; tick is null while loading
+        this.dropped = 0; // Lines dropped past AI_CONSOLE_MAX_ENTRIES
+        this.items = new Map(); // entry -> its shown line
+        
+        this.element = document.createElement('div');
+        this.element.className = 'ai-console';
+        this.element.innerHTML = `
+            <div class="ai-console-toolbar">
+                <select class="pixel-select" title="Which lines to show">
+                    <option value="all">ALL</option>
+                    <option value="warn">WARN+</option>
+                    <option value="error">ERRORS</option>
+                </select>
+                <input type="text" class="pixel-input" placeholder="FILTER" spellcheck="false">
+            </div>
+            <p class="ai-console-dropped hidden"></p>
+            <ol class="ai-console-lines"></ol>`;
+        this.filterSelect = this.element.querySelector('select');
+        this.searchInput = this.element.querySelector('input[type="text"]');
+        this.droppedEl = this.element.querySelector('.ai-console-dropped');
+        this.linesEl = this.element.querySelector('.ai-console-lines');
+        
+        this.filterSelect.addEventListener('change', () => this.render());
+        this.searchInput.addEventListener('input', () => this.render());
+    }
+    
+    // Lines from one AIWorker result, all logged on the same tick and level
+    log(tick, level, lines) {
+        lines.forEach(line => this.add(tick, level, line.type, line.text));
+    }
+    
+    // A line repeating the one before it (say, an AI that throws every
+    // tick) only bumps that line's count
+    add(tick, level, type, text) {
+        const last = this.entries[this.entries.length - 1];
+        if (last && last.type === type && last.level === level && last.text === text) {
+            last.count++;
+            if (this.items.has(last)) {
+                this.items.get(last).dataset.count = `x${last.count}`;
+            }
+            return;
+        }
+        
+        const entry = { tick, level, type, text, count: 1 };
+        this.entries.push(entry);
+        if (this.entries.length > AI_CONSOLE_MAX_ENTRIES) {
+            const oldest = this.entries.shift();
+            if (this.items.has(oldest)) {
+                this.items.get(oldest).remove();
+                this.items.delete(oldest);
+            }
+            this.dropped++;
+            this.renderDropped();
+        }
+        if (this.matches(entry)) {
+            this.showEntries([entry]);
+        }
+    }
+    
+    matches(entry) {
+        const search = this.searchInput.value.trim().toLowerCase();
+        return AI_CONSOLE_FILTERS[this.filterSelect.value].includes(entry.type) &&
+            (search === '' || entry.text.toLowerCase().includes(search));
+    }
+    
+    // Append lines, keeping the view at the bottom if it already was
+    showEntries(entries) {
+        const lines = this.linesEl;
+        const atBottom = lines.scrollTop + lines.clientHeight >= lines.scrollHeight - 2;
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `ai-console-${entry.type}`;
+            if (entry.count > 1) item.dataset.count = `x${entry.count}`;
+            const tag = document.createElement('span');
+            tag.className = 'ai-console-tag';
+            tag.textContent = entry.tick === null ? 'LOAD' : `T${entry.tick} L${entry.level + 1}`;
+            item.append(tag, entry.text);
+            lines.appendChild(item);
+            this.items.set(entry, item);
+        });
+        if (atBottom) {
+            lines.scrollTop = lines.scrollHeight;
+        }
+    }
+    
+    renderDropped() {
+        this.droppedEl.classList.toggle('hidden', this.dropped === 0);
+        this.droppedEl.textContent = `${this.dropped} earlier line(s) dropped`;
+    }
+    
+    // Redraw every line after the filter changed
+    render() {
+        this.linesEl.innerHTML = '';
+        this.items.clear();
+        this.showEntries(this.entries.filter(entry => this.matches(entry)));
+        this.linesEl.scrollTop = this.linesEl.scrollHeight;
+    }
+}
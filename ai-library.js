@@ -0,0 +1,161 @@
+// ============================================
+// AI PLATFORMER BATTLE - AI Library
+// ============================================
+//
+// Named AIs saved in the browser, each with its version history, plus the
+// built-in samples every player panel can start from. AILibrary works on
+// any localStorage-like object, so it also loads in Node.
+
+const AI_LIBRARY_STORAGE_KEY = 'ai-platformer-battle.ai-library';
+const AI_LIBRARY_MAX_VERSIONS = 50; // Oldest versions are dropped past this
+
+const AI_SAMPLES = [
+    {
+        name: 'Right-Moving Jumper',
+        code: `function ai(levelData, position, memory, isGrounded, velocity, tick, elapsedTime, env, opponents, rules, sense) {
+    return {
+        forceX: 1.0,
+        forceY: isGrounded ? 1.0 : 0,
+        memory: memory
+    };
+}
+`
+    },
+    {
+        name: 'Goal Seeker',
+        code: `// Heads for the goal, jumps over gaps and jumps again when stuck
+function dist(pos1, pos2) {
+    return Math.hypot(pos1.x - pos2.x, pos1.y - pos2.y);
+}
+
+function ai(levelData, position, memory, isGrounded, velocity, tick, elapsedTime, env, opponents, rules, sense) {
+    if (!memory.lastPos) {
+        const NULLPOSC = { x: -1.0, y: -1.0 };
+        const NULLPOS = {
+            center: NULLPOSC, bottomRight: NULLPOSC, bottomLeft: NULLPOSC,
+            topRight: NULLPOSC, topLeft: NULLPOSC
+        };
+        memory = { lastPos: Array(5).fill(NULLPOS) };
+    }
+    
+    const forceX = levelData.endPos.x > position.bottomRight.x ? 1.0 : -1.0;
+    
+    // Jump when there is no ground under the leading foot
+    let forceY = 0.0;
+    if (!sense.groundUnder(forceX > 0 ? 'right' : 'left')) {
+        forceY = 0.8 + env.random() * 0.2;
+    }
+    
+    // Barely moved in five ticks: jump out of wherever we are stuck
+    const before = memory.lastPos[0].center;
+    if (dist(before, position.center) < 1.0 || Math.abs(before.y - position.center.y) < 1.0) {
+        forceY = 0.9 + env.random() * 0.1;
+    }
+    
+    return {
+        forceX, forceY, memory: { lastPos: [...memory.lastPos.slice(1), position] }
+    };
+}
+`
+    }
+];
+
+class AILibrary {
+    // `storage` is window.localStorage or anything with getItem/setItem
+    constructor(storage) {
+        this.storage = storage;
+        this.ais = this.load(); // { [name]: { versions: [{ code, savedAt }, ...] } }, oldest version first
+    }
+    
+    // Prototype-less, so any name (even `__proto__`) is an ordinary key
+    load() {
+        const ais = Object.create(null);
+        try {
+            return Object.assign(ais, JSON.parse(this.storage.getItem(AI_LIBRARY_STORAGE_KEY)));
+        } catch (e) {
+            console.warn('Could not load the AI library:', e);
+            return ais;
+        }
+    }
+    
+    // Throws if the storage refuses the write (quota, private browsing)
+    persist() {
+        this.storage.setItem(AI_LIBRARY_STORAGE_KEY, JSON.stringify(this.ais));
+    }
+    
+    names() {
+        return Object.keys(this.ais).sort((a, b) => a.localeCompare(b));
+    }
+    
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.ais, name);
+    }
+    
+    // Oldest first
+    versions(name) {
+        return this.has(name) ? this.ais[name].versions : [];
+    }
+    
+    latest(name) {
+        const versions = this.versions(name);
+        return versions.length > 0 ? versions[versions.length - 1].code : null;
+    }
+    
+    // Store `code` as the newest version of `name`, creating it if needed.
+    // Saving unchanged code adds no version.
+    save(name, code, savedAt = Date.now()) {
+        name = checkAIName(name);
+        if (!this.has(name)) {
+            this.ais[name] = { versions: [] };
+        }
+        const versions = this.ais[name].versions;
+        if (this.latest(name) !== code) {
+            versions.push({ code, savedAt });
+            versions.splice(0, Math.max(0, versions.length - AI_LIBRARY_MAX_VERSIONS));
+        }
+        this.persist();
+        return name;
+    }
+    
+    // Copy the latest version of `name` into a new AI with no history.
+    // Returns the copy's name.
+    duplicate(name, newName = this.freeName(`${name} copy`)) {
+        if (this.has(newName)) {
+            throw new Error(`An AI named ${newName} already exists`);
+        }
+        return this.save(newName, this.latest(name));
+    }
+    
+    remove(name) {
+        delete this.ais[name];
+        this.persist();
+    }
+    
+    // `base`, or `base 2`, `base 3`... whichever is not taken yet
+    freeName(base) {
+        let name = base;
+        for (let n = 2; this.has(name); n++) {
+            name = `${base} ${n}`;
+        }
+        return name;
+    }
+}
+
+// Trimmed name, or throws if there is nothing left
+function checkAIName(name) {
+    const trimmed = String(name).trim();
+    if (trimmed === '') {
+        throw new Error('An AI needs a name');
+    }
+    return trimmed;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AI_LIBRARY_STORAGE_KEY,
+        AI_LIBRARY_MAX_VERSIONS,
+        AI_SAMPLES,
+        AILibrary,
+        checkAIName
+    };
+}
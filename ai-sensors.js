@@ -0,0 +1,162 @@
+// ============================================
+// AI PLATFORMER BATTLE - AI Sensors
+// ============================================
+//
+// The `sense` helpers handed to ai() every tick: bounds-safe tile lookups,
+// raycasts and scans around the player's 5x5 body, over the level as the
+// AI is shown it and with the tile rules handleCollisions() plays by.
+// createSensors() is copied into every AI worker (see AI_WORKER_HELPERS),
+// so it must not reference anything outside its own body; the grid size,
+// body size and solid tiles come from the input's `rules`. No DOM here, so
+// it also loads in Node.
+
+// Helpers for one AI input, as Simulation.getAIInput() builds it.
+// Coordinates are grid units: tile (x, y) covers x..x+1 and y..y+1, and
+// fractional coordinates fall in the tile they are inside.
+function createSensors(input) {
+    const { grid, timer, crumbling, endPos } = input.levelData;
+    const { gridSize, playerSize, solidTiles } = input.rules;
+    const solid = new Set(solidTiles);
+    const gone = new Set(crumbling.filter(tile => tile.gone).map(tile => `${tile.x},${tile.y}`));
+    const EDGE_TOLERANCE = 0.01; // Feet resting exactly on a tile edge still count as on it
+    
+    const left = input.position.bottomLeft.x;
+    const bottom = input.position.bottomLeft.y;
+    const right = left + playerSize;
+    const top = bottom + playerSize;
+    
+    // The tile at x, y as it acts this tick: crumbling tiles are 'platform'
+    // until they give way, timed tiles 'platform' / 'lava' or 'air'. null
+    // off the grid (or for coordinates that are not numbers).
+    function tile(x, y) {
+        const tx = Math.floor(x);
+        const ty = Math.floor(y);
+        if (!(tx >= 0 && tx < gridSize && ty >= 0 && ty < gridSize)) return null;
+        
+        const raw = grid[tx][ty];
+        switch (raw) {
+            case 'crumble':
+                return gone.has(`${tx},${ty}`) ? 'air' : 'platform';
+            case 'timed-platform':
+                return timer.on ? 'platform' : 'air';
+            case 'timed-lava':
+                return timer.on ? 'lava' : 'air';
+            default:
+                return raw;
+        }
+    }
+    
+    function isSolid(x, y) {
+        return solid.has(tile(x, y));
+    }
+    
+    function isLava(x, y) {
+        return tile(x, y) === 'lava';
+    }
+    
+    // Follow a ray from x, y in direction dx, dy (any length) tile by tile.
+    // Returns { tile, distance, x, y, tileX, tileY } for the first solid or
+    // lava tile, or with tile 'edge' where the ray leaves the grid (the
+    // edges stop the player like walls); x, y is where the ray got there.
+    // null if nothing is hit within maxDistance.
+    function raycast(x, y, dx, dy, maxDistance = gridSize * 2) {
+        const length = Math.hypot(dx, dy);
+        if (!(length > 0) || !Number.isFinite(x) || !Number.isFinite(y)) return null;
+        dx /= length;
+        dy /= length;
+        
+        let tx = Math.floor(x);
+        let ty = Math.floor(y);
+        const stepX = dx > 0 ? 1 : -1;
+        const stepY = dy > 0 ? 1 : -1;
+        const deltaX = Math.abs(1 / dx); // Ray length per column crossed
+        const deltaY = Math.abs(1 / dy);
+        let nextX = dx === 0 ? Infinity : (dx > 0 ? tx + 1 - x : x - tx) * deltaX;
+        let nextY = dy === 0 ? Infinity : (dy > 0 ? ty + 1 - y : y - ty) * deltaY;
+        let distance = 0;
+        
+        while (distance <= maxDistance) {
+            const hit = tile(tx, ty);
+            if (hit === null || hit === 'lava' || solid.has(hit)) {
+                return { tile: hit === null ? 'edge' : hit, distance, x: x + dx * distance, y: y + dy * distance, tileX: tx, tileY: ty };
+            }
+            if (nextX < nextY) {
+                distance = nextX;
+                nextX += deltaX;
+                tx += stepX;
+            } else {
+                distance = nextY;
+                nextY += deltaY;
+                ty += stepY;
+            }
+        }
+        return null;
+    }
+    
+    // Whether a solid tile is right under the player's 'left' or 'right'
+    // foot, or under either when `side` is left out. Moving platforms are
+    // not tiles; see levelData.movers for those.
+    function groundUnder(side) {
+        const below = Math.ceil(bottom - EDGE_TOLERANCE) - 1;
+        const leftFoot = isSolid(Math.floor(left + EDGE_TOLERANCE), below);
+        const rightFoot = isSolid(Math.ceil(right - EDGE_TOLERANCE) - 1, below);
+        if (side === 'left') return leftFoot;
+        if (side === 'right') return rightFoot;
+        return leftFoot || rightFoot;
+    }
+    
+    // Whether the body touches a tile of `type` (as tile() gives them),
+    // checked the way the simulation checks for lava and the goal
+    function touching(type) {
+        for (let tx = Math.floor(left); tx <= Math.floor(right); tx++) {
+            for (let ty = Math.floor(bottom); ty <= Math.floor(top); ty++) {
+                if (tile(tx, ty) === type) return true;
+            }
+        }
+        return false;
+    }
+    
+    // Tiles within `radius` of the body whose type is in `types` (solid
+    // tiles and lava by default), as [{ x, y, tile, distance }], nearest
+    // first. distance is the gap between the body and the tile, 0 when
+    // they touch.
+    function scan(radius = 10, types = [...solidTiles, 'lava']) {
+        const found = [];
+        const minX = Math.max(0, Math.floor(left - radius));
+        const maxX = Math.min(gridSize - 1, Math.floor(right + radius));
+        const minY = Math.max(0, Math.floor(bottom - radius));
+        const maxY = Math.min(gridSize - 1, Math.floor(top + radius));
+        for (let tx = minX; tx <= maxX; tx++) {
+            for (let ty = minY; ty <= maxY; ty++) {
+                const type = tile(tx, ty);
+                if (!types.includes(type)) continue;
+                const gapX = Math.max(0, tx - right, left - (tx + 1));
+                const gapY = Math.max(0, ty - top, bottom - (ty + 1));
+                const distance = Math.hypot(gapX, gapY);
+                if (distance <= radius) found.push({ x: tx, y: ty, tile: type, distance });
+            }
+        }
+        return found.sort((a, b) => a.distance - b.distance);
+    }
+    
+    // The burning lava tile nearest the body, as scan() gives it, or null
+    function nearestLava(radius = gridSize * 2) {
+        return scan(radius, ['lava'])[0] || null;
+    }
+    
+    // { dx, dy, distance } from the centre of the body to the centre of
+    // the goal tile
+    function toGoal() {
+        const dx = endPos.x + 0.5 - (left + playerSize / 2);
+        const dy = endPos.y + 0.5 - (bottom + playerSize / 2);
+        return { dx, dy, distance: Math.hypot(dx, dy) };
+    }
+    
+    return Object.freeze({ tile, isSolid, isLava, raycast, groundUnder, touching, scan, nearestLava, toGoal });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createSensors
+    };
+}
@@ -0,0 +1,457 @@
+// ============================================
+// AI PLATFORMER BATTLE - AI Workers
+// ============================================
+//
+// Every player's AI runs in its own Web Worker. The page enforces the
+// AI_TIMEOUT budget by terminating a worker that has not answered in time,
+// so an infinite loop costs its owner one tick instead of freezing the tab
+// (and the other player) for good.
+
+const AI_BOOT_TIMEOUT = 2000; // ms a worker may take to start and compile the code
+const AI_MESSAGE_GRACE = 20; // ms of postMessage latency allowed on top of AI_TIMEOUT
+
+// What one tick's result may carry back to the page. The worker applies
+// these as it reads the AI's result and AIWorker again when the result
+// arrives: the worker runs the player's code, so the page cannot take its
+// word for anything.
+const AI_OUTPUT_LIMITS = Object.freeze({
+    debugShapes: 200, // Debug shapes kept per tick
+    debugText: 40, // Length of a shape's text and color
+    logLines: 20, // Console lines kept per tick (and while loading)
+    logText: 500 // Length of a console line
+});
+
+// Plain copies of the first limits.debugShapes well-formed shapes in a
+// `debug` array; anything else in it is dropped. Copied into the worker
+// too, so it must not reference anything outside its own body.
+function readDebugShapes(debug, limits) {
+    const DEBUG_SHAPE_FIELDS = { // Numeric fields of each shape type
+        point: ['x', 'y'],
+        line: ['x1', 'y1', 'x2', 'y2'],
+        rect: ['x', 'y', 'width', 'height'],
+        text: ['x', 'y']
+    };
+    const shapes = [];
+    try {
+        if (!Array.isArray(debug)) return shapes;
+        for (let i = 0; i < debug.length && shapes.length < limits.debugShapes; i++) {
+            const shape = debug[i];
+            const type = shape && typeof shape === 'object' ? shape.type : null;
+            const fields = typeof type === 'string' && DEBUG_SHAPE_FIELDS[type];
+            if (!Array.isArray(fields)) continue;
+            
+            const clean = { type };
+            fields.forEach(field => { clean[field] = Number(shape[field]); });
+            if (!fields.every(field => Number.isFinite(clean[field]))) continue;
+            if (typeof shape.color === 'string') clean.color = shape.color.slice(0, limits.debugText);
+            if (type === 'rect') clean.fill = shape.fill === true;
+            if (type === 'text') clean.text = String(shape.text).slice(0, limits.debugText);
+            shapes.push(clean);
+        }
+    } catch (e) {
+        // A getter or toString() threw; keep the shapes read so far
+    }
+    return shapes;
+}
+
+// Plain copies of the console lines in a worker message's `logs`: at most
+// limits.logLines of them, plus the worker's note of how many it dropped,
+// each cut to limits.logText
+function readLogLines(logs, limits) {
+    const lines = [];
+    if (!Array.isArray(logs)) return lines;
+    for (let i = 0; i < logs.length && lines.length <= limits.logLines; i++) {
+        const line = logs[i];
+        if (!line || typeof line !== 'object' || typeof line.text !== 'string') continue;
+        lines.push({
+            type: line.type === 'warn' || line.type === 'error' ? line.type : 'log',
+            text: line.text.slice(0, limits.logText)
+        });
+    }
+    return lines;
+}
+
+// Functions copied into every worker ahead of aiWorkerMain
+const AI_WORKER_HELPERS = [createRng, mixSeed, createSensors, readDebugShapes];
+
+// Worker-side entry point. It is serialized with toString() into a Blob
+// worker (which also works when index.html is opened from file://), so it
+// must not reference anything outside its own body and AI_WORKER_HELPERS.
+//
+// The worker is the sandbox: player code never shares a realm with the
+// page, so `window`, `document`, `players` and `PARSED_LEVELS` simply do
+// not exist for it. On top of that the worker strips its own
+// communication and network globals before any player code runs, and
+// hands the AI a deep-frozen copy of the world each tick.
+function aiWorkerMain() {
+    const BLOCKED_GLOBALS = [
+        'postMessage', 'onmessage', 'onmessageerror', 'close',
+        'addEventListener', 'removeEventListener', 'dispatchEvent', 'EventTarget',
+        'importScripts', 'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource',
+        'Worker', 'SharedWorker', 'BroadcastChannel', 'MessageChannel', 'MessagePort',
+        'indexedDB', 'caches', 'Notification', 'crypto'
+    ];
+    
+    // Capture what the runtime needs before locking the globals down
+    const send = self.postMessage.bind(self);
+    const listen = self.addEventListener.bind(self);
+    const now = performance.now.bind(performance);
+    const freeze = Object.freeze;
+    
+    let seed = 0; // Both set by 'init'
+    let playerId = 0;
+    let limits = null; // AI_OUTPUT_LIMITS, sent with 'init'
+    
+    // Math.random draws from the match's seeded stream, never real entropy
+    let rng = createRng(0);
+    function seededRandom() {
+        return rng();
+    }
+    Object.defineProperty(Math, 'random', { value: seededRandom, writable: false, configurable: false });
+    
+    // console.* output goes back to the page with the tick's result, to
+    // show under the player's screen instead of in the devtools
+    let logs = [];
+    let droppedLogs = 0;
+    function formatLogValue(value) {
+        if (value && typeof value === 'object' && !(value instanceof Error)) {
+            try {
+                const json = JSON.stringify(value);
+                if (json !== undefined) return json;
+            } catch (e) {
+                // Cyclic or throwing toJSON(); fall back to String()
+            }
+        }
+        try {
+            return String(value);
+        } catch (e) {
+            return '[unprintable]';
+        }
+    }
+    function capture(type) {
+        return (...args) => {
+            if (logs.length >= limits.logLines) {
+                droppedLogs++;
+                return;
+            }
+            logs.push({ type, text: args.map(formatLogValue).join(' ').slice(0, limits.logText) });
+        };
+    }
+    // The lines logged since the last call
+    function takeLogs() {
+        const taken = logs;
+        if (droppedLogs > 0) {
+            taken.push({ type: 'warn', text: `${droppedLogs} more console line(s) dropped (limit ${limits.logLines} per tick)` });
+        }
+        logs = [];
+        droppedLogs = 0;
+        return taken;
+    }
+    const log = capture('log');
+    Object.defineProperty(self, 'console', {
+        value: freeze({ log, info: log, debug: log, warn: capture('warn'), error: capture('error') }),
+        writable: false,
+        configurable: false
+    });
+    
+    // Shadow every blocked name on the global object and its prototype
+    // chain with a read-only undefined, so player code cannot reach them
+    // through `self`, `globalThis` or Object.getPrototypeOf either.
+    let scope = self;
+    while (scope && scope !== Object.prototype) {
+        BLOCKED_GLOBALS.forEach(name => {
+            if (scope === self || Object.prototype.hasOwnProperty.call(scope, name)) {
+                try {
+                    Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+                } catch (e) {
+                    // Non-configurable in this browser; nothing more we can do
+                }
+            }
+        });
+        scope = Object.getPrototypeOf(scope);
+    }
+    
+    function deepFreeze(value) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            freeze(value);
+            Object.keys(value).forEach(key => deepFreeze(value[key]));
+        }
+        return value;
+    }
+    
+    let aiFunction = null;
+    let codeLines = 0;
+    let memory = {};
+    
+    // Line of the player's code an error was thrown from, when the
+    // stack trace says (V8: "<anonymous>:5:13", Firefox: "> Function:5:13").
+    // new Function() puts two lines of its own above the code and our
+    // `return ai;` below it.
+    function errorLine(e) {
+        const match = /(?:[\s(]<anonymous>|> Function):(\d+):\d+/.exec(String(e && e.stack));
+        const line = match ? Number(match[1]) - 2 : 0;
+        return line >= 1 && line <= codeLines ? line : null;
+    }
+    
+    listen('message', (event) => {
+        const message = event.data;
+        
+        if (message.type === 'init') {
+            seed = message.seed;
+            playerId = message.playerId;
+            limits = message.limits;
+            rng = createRng(mixSeed(seed, playerId, 0)); // For top-level code
+            codeLines = message.code.split('\n').length;
+            try {
+                // The function should be named 'ai' in the code
+                aiFunction = new Function(`${message.code}\nreturn ai;`)();
+                if (typeof aiFunction !== 'function') {
+                    throw new TypeError('ai is not a function');
+                }
+                send({ type: 'ready', error: null, errorLine: null, logs: takeLogs() });
+            } catch (e) {
+                aiFunction = null;
+                send({ type: 'ready', error: String(e), errorLine: errorLine(e), logs: takeLogs() });
+            }
+            return;
+        }
+        
+        if (message.type === 'tick') {
+            // The message is already a private structured-clone copy; freeze
+            // it so the AI cannot scribble on the world it is shown
+            const input = deepFreeze(message.input);
+            if (message.resetMemory) {
+                memory = {};
+            }
+            
+            // A fresh stream per tick keeps the numbers identical across
+            // worker restarts
+            rng = createRng(mixSeed(seed, playerId, input.tick));
+            const env = freeze({ seed, random: seededRandom });
+            const sense = createSensors(input);
+            
+            let result = null;
+            let error = null;
+            let line = null;
+            const startTime = now();
+            try {
+                if (aiFunction) {
+                    result = aiFunction(
+                        input.levelData,
+                        input.position,
+                        memory,
+                        input.isGrounded,
+                        input.velocity,
+                        input.tick,
+                        input.elapsedTime,
+                        env,
+                        input.opponents,
+                        input.rules,
+                        sense
+                    );
+                }
+            } catch (e) {
+                try {
+                    error = String(e);
+                    line = errorLine(e);
+                } catch (stringifyError) {
+                    error = 'AI threw an unprintable value';
+                }
+            }
+            const duration = now() - startTime;
+            
+            // Only plain numbers and strings cross back to the page; memory
+            // stays here
+            let output = null;
+            let debug = [];
+            if (result && typeof result === 'object') {
+                if (result.memory !== undefined) {
+                    memory = result.memory;
+                }
+                output = {
+                    forceX: parseFloat(result.forceX) || 0,
+                    forceY: parseFloat(result.forceY) || 0
+                };
+                debug = readDebugShapes(result.debug, limits);
+            }
+            send({ type: 'result', id: message.id, output, debug, logs: takeLogs(), error, errorLine: line, duration });
+        }
+    });
+}
+
+// Page-side handle for one player's worker
+class AIWorker {
+    constructor(playerId, code, seed) {
+        this.playerId = playerId;
+        this.code = code;
+        this.seed = seed;
+        this.worker = null;
+        this.ready = false;
+        this.failed = false; // Gave up after the code hung while loading
+        this.compileError = null;
+        this.compileErrorLine = null;
+        this.loadLogs = []; // Console lines the code's top level logged while loading
+        this.pending = null; // { id, resolve, timer } for the tick in flight
+        this.requestId = 0;
+        this.restarts = 0;
+        this.bootTimer = null;
+        this.booting = null; // Resolves start()'s promise while the code loads
+    }
+    
+    // Spawn the worker and compile the code. Resolves once it is ready to
+    // run ticks (or has failed to load, or was terminated); never rejects.
+    start() {
+        const helpers = AI_WORKER_HELPERS.map(helper => helper.toString()).join('\n');
+        const source = `${helpers}\n(${aiWorkerMain.toString()})();`;
+        const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        this.worker = new Worker(url);
+        URL.revokeObjectURL(url);
+        this.ready = false;
+        
+        return new Promise(resolve => {
+            this.booting = resolve;
+            this.bootTimer = setTimeout(() => {
+                console.error(`Player ${this.playerId} AI did not load within ${AI_BOOT_TIMEOUT}ms`);
+                this.failed = true;
+                this.compileError = 'Timed out while loading';
+                this.terminate();
+            }, AI_BOOT_TIMEOUT);
+            
+            this.worker.onmessage = async (event) => {
+                const message = event.data;
+                if (message.type === 'ready') {
+                    clearTimeout(this.bootTimer);
+                    this.compileError = message.error;
+                    this.compileErrorLine = message.errorLine;
+                    this.loadLogs = readLogLines(message.logs, AI_OUTPUT_LIMITS);
+                    if (message.error) {
+                        console.error(`Player ${this.playerId} AI compilation error:`, message.error);
+                        if (this.compileErrorLine === null) {
+                            // V8 gives no position for a SyntaxError from new Function()
+                            const syntaxError = await checkAISyntax(this.code);
+                            this.compileErrorLine = syntaxError && syntaxError.line;
+                        }
+                    }
+                    if (this.booting !== resolve) return; // Terminated meanwhile
+                    this.booting = null;
+                    this.ready = true;
+                    resolve();
+                } else if (message.type === 'result') {
+                    this.handleResult(message);
+                }
+            };
+            this.worker.postMessage({ type: 'init', code: this.code, seed: this.seed, playerId: this.playerId, limits: AI_OUTPUT_LIMITS });
+        });
+    }
+    
+    // Ask the AI for this tick's output. Resolves with
+    // { status: 'ok' | 'error' | 'timeout' | 'restarting', output, debug,
+    // logs, error, errorLine, duration }, errorLine being the line of the
+    // code that threw if known, debug the shapes the AI asked to have drawn
+    // (always [] unless the status is 'ok'), logs its console output, as
+    // [{ type: 'log' | 'warn' | 'error', text }], and duration the ms the AI
+    // ran by the worker's clock (null when the worker did not answer).
+    run(input, resetMemory) {
+        if (this.failed) {
+            return Promise.resolve({ status: 'error', output: null, debug: [], logs: [], error: this.compileError, errorLine: null, duration: null });
+        }
+        if (!this.ready) {
+            // Still rebooting after a hang: skip this tick rather than wait
+            return Promise.resolve({ status: 'restarting', output: null, debug: [], logs: [], error: null, errorLine: null, duration: null });
+        }
+        if (this.compileError) {
+            return Promise.resolve({ status: 'error', output: null, debug: [], logs: [], error: this.compileError, errorLine: this.compileErrorLine, duration: null });
+        }
+        
+        return new Promise(resolve => {
+            const id = ++this.requestId;
+            const timer = setTimeout(() => {
+                console.warn(`Player ${this.playerId} AI exceeded time limit, restarting worker`);
+                this.pending = null;
+                this.restart();
+                resolve({ status: 'timeout', output: null, debug: [], logs: [], error: null, errorLine: null, duration: null });
+            }, AI_TIMEOUT + AI_MESSAGE_GRACE);
+            
+            this.pending = { id, resolve, timer };
+            this.worker.postMessage({ type: 'tick', id, input, resetMemory });
+        });
+    }
+    
+    handleResult(message) {
+        if (!this.pending || this.pending.id !== message.id) return;
+        const { resolve, timer } = this.pending;
+        clearTimeout(timer);
+        this.pending = null;
+        const logs = readLogLines(message.logs, AI_OUTPUT_LIMITS);
+        
+        if (message.error) {
+            console.error(`Player ${this.playerId} AI error:`, message.error);
+            resolve({ status: 'error', output: null, debug: [], logs, error: message.error, errorLine: message.errorLine, duration: message.duration });
+        } else if (message.duration > AI_TIMEOUT) {
+            // Returned, but over budget by the worker's own clock
+            console.warn(`Player ${this.playerId} AI exceeded time limit`);
+            resolve({ status: 'timeout', output: null, debug: [], logs, error: null, errorLine: null, duration: message.duration });
+        } else {
+            resolve({ status: 'ok', output: message.output, debug: readDebugShapes(message.debug, AI_OUTPUT_LIMITS), logs, error: null, errorLine: null, duration: message.duration });
+        }
+    }
+    
+    // Replace a hung worker. The AI's memory is lost with it.
+    restart() {
+        this.terminate();
+        this.restarts++;
+        this.start();
+    }
+    
+    // Stop the worker. A start() still loading resolves, with `ready`
+    // false, so nothing waits on a worker that is gone.
+    terminate() {
+        clearTimeout(this.bootTimer);
+        if (this.booting) {
+            const resolve = this.booting;
+            this.booting = null;
+            resolve();
+        }
+        if (this.pending) {
+            clearTimeout(this.pending.timer);
+            this.pending.resolve({ status: 'restarting', output: null, debug: [], logs: [], error: null, errorLine: null, duration: null });
+            this.pending = null;
+        }
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.ready = false;
+    }
+}
+
+// Parse `code` the way the worker compiles it, without running it, and
+// resolve with { message, line } for a syntax error or null. new Function()
+// reports no position for a SyntaxError in V8, but a worker's own script
+// does, so the code is wrapped in a function that is never called and
+// loaded as a throwaway worker; whatever escapes the wrapper only runs
+// there.
+function checkAISyntax(code) {
+    const source = `function aiSyntaxCheck() {\n${code}\nreturn ai;\n}\npostMessage(null);`;
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    
+    return new Promise(resolve => {
+        const finish = (result) => {
+            clearTimeout(timer);
+            worker.terminate();
+            resolve(result);
+        };
+        const timer = setTimeout(() => finish(null), AI_BOOT_TIMEOUT);
+        worker.onmessage = () => finish(null);
+        worker.onerror = (event) => {
+            event.preventDefault();
+            const line = event.lineno - 1; // Less the wrapper's first line
+            finish({
+                message: event.message.replace(/^Uncaught /, ''),
+                line: line >= 1 && line <= code.split('\n').length ? line : null
+            });
+        };
+    });
+}
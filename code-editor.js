@@ -0,0 +1,255 @@
+// ============================================
+// AI PLATFORMER BATTLE - Code Editor
+// ============================================
+//
+// Turns a setup-screen textarea into a small JavaScript editor: line
+// numbers, highlighting, bracket matching, auto-indent and an error marker
+// at the offending line. The textarea stays the real input, its text made
+// transparent over a highlighted copy, so typing, selection, the clipboard
+// and undo all behave the way the browser makes them.
+
+const CODE_INDENT = '    ';
+const CODE_CHECK_DELAY = 400; // ms after the last keystroke before the code is checked
+
+const CODE_KEYWORDS = new Set([
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+    'default', 'delete', 'do', 'else', 'extends', 'finally', 'for', 'function',
+    'if', 'in', 'instanceof', 'let', 'new', 'of', 'return', 'static', 'super',
+    'switch', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'yield'
+]);
+const CODE_ATOMS = new Set(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity', 'this']);
+const CODE_BRACKETS = { '(': ')', '[': ']', '{': '}' };
+
+// Groups: comment, string, number, word, bracket. Anything else is plain.
+// Unterminated comments and strings run to the end so they show as such.
+const CODE_TOKEN_PATTERN = /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:[^'\\\n]|\\.)*'?|"(?:[^"\\\n]|\\.)*"?|`(?:[^`\\]|\\[\s\S])*`?)|(\b(?:0[xX][\da-fA-F]+|\d+\.?\d*(?:[eE][+-]?\d+)?))|([A-Za-z_$][\w$]*)|([()[\]{}])/g;
+
+// [{ type, start, end }] for the highlighted parts of `text`
+function tokenizeCode(text) {
+    const tokens = [];
+    CODE_TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = CODE_TOKEN_PATTERN.exec(text)) !== null) {
+        let type = 'bracket';
+        if (match[1]) type = 'comment';
+        else if (match[2]) type = 'string';
+        else if (match[3]) type = 'number';
+        else if (match[4]) type = CODE_KEYWORDS.has(match[4]) ? 'keyword' : CODE_ATOMS.has(match[4]) ? 'atom' : 'word';
+        tokens.push({ type, start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+// Offset of each bracket's partner, for the brackets that have one;
+// brackets in strings and comments are not tokens, so they never pair
+function matchBrackets(text, tokens) {
+    const partners = new Map();
+    const open = [];
+    tokens.forEach(token => {
+        if (token.type !== 'bracket') return;
+        const char = text[token.start];
+        if (CODE_BRACKETS[char]) {
+            open.push(token.start);
+            return;
+        }
+        const top = open[open.length - 1];
+        if (top !== undefined && CODE_BRACKETS[text[top]] === char) {
+            open.pop();
+            partners.set(top, token.start);
+            partners.set(token.start, top);
+        }
+    });
+    return partners;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+class CodeEditor {
+    // `check(code)` resolves with { message, line } or null; it runs a
+    // moment after each change and its error is shown like any other
+    constructor(textarea, { check = null } = {}) {
+        this.textarea = textarea;
+        this.check = check;
+        this.error = null; // { message, line } with line 1-based, or null when unknown
+        this.checkTimer = null;
+        
+        this.element = document.createElement('div');
+        this.element.className = 'code-editor';
+        this.element.innerHTML = `
+            <div class="code-body">
+                <pre class="code-gutter" aria-hidden="true"></pre>
+                <div class="code-area">
+                    <pre class="code-highlight" aria-hidden="true"></pre>
+                </div>
+            </div>
+            <div class="code-error hidden"></div>`;
+        this.gutterEl = this.element.querySelector('.code-gutter');
+        this.highlightEl = this.element.querySelector('.code-highlight');
+        this.errorEl = this.element.querySelector('.code-error');
+        
+        textarea.replaceWith(this.element);
+        this.element.querySelector('.code-area').appendChild(textarea);
+        textarea.wrap = 'off';
+        textarea.spellcheck = false;
+        
+        textarea.addEventListener('input', () => this.changed());
+        textarea.addEventListener('keydown', (e) => this.handleKeydown(e));
+        textarea.addEventListener('scroll', () => this.syncScroll());
+        // Bracket matching follows the caret
+        ['keyup', 'mouseup', 'focus', 'blur'].forEach(type => {
+            textarea.addEventListener(type, () => this.render());
+        });
+        
+        this.render();
+        this.scheduleCheck();
+    }
+    
+    get value() {
+        return this.textarea.value;
+    }
+    
+    set value(code) {
+        this.textarea.value = code;
+        this.changed();
+    }
+    
+    // An error no longer applies once the code changes
+    changed() {
+        this.error = null;
+        this.render();
+        this.scheduleCheck();
+    }
+    
+    setError(error) {
+        this.error = error;
+        this.render();
+    }
+    
+    scheduleCheck() {
+        clearTimeout(this.checkTimer);
+        if (!this.check) return;
+        this.checkTimer = setTimeout(async () => {
+            const code = this.value;
+            const error = await this.check(code);
+            // Keep an error reported meanwhile, e.g. by starting a match
+            if (this.value === code && this.error === null) {
+                this.setError(error);
+            }
+        }, CODE_CHECK_DELAY);
+    }
+    
+    // Replace `start`..`end` with `text` and put the caret at `caret`
+    replace(start, end, text, caret = start + text.length) {
+        const textarea = this.textarea;
+        textarea.setSelectionRange(start, end);
+        // execCommand keeps the browser's undo history; setRangeText does not
+        const inserted = typeof document.execCommand === 'function' &&
+            document.execCommand('insertText', false, text);
+        if (!inserted) {
+            textarea.setRangeText(text, start, end, 'end');
+            textarea.dispatchEvent(new Event('input'));
+        }
+        textarea.setSelectionRange(caret, caret);
+        this.render();
+    }
+    
+    handleKeydown(e) {
+        const { selectionStart: start, selectionEnd: end, value } = this.textarea;
+        const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+        const beforeCaret = value.slice(lineStart, start);
+        
+        if (e.key === 'Tab' && !e.shiftKey) {
+            e.preventDefault();
+            this.replace(start, end, CODE_INDENT);
+        } else if (e.key === 'Enter' && !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey) {
+            // Keep the line's indent, one deeper after an opening bracket;
+            // between a pair of brackets the closing one gets its own line
+            e.preventDefault();
+            const indent = beforeCaret.match(/^[ \t]*/)[0];
+            const opener = beforeCaret.trimEnd().slice(-1);
+            if (!CODE_BRACKETS[opener]) {
+                this.replace(start, end, `\n${indent}`);
+            } else if (value[end] === CODE_BRACKETS[opener]) {
+                const inner = `\n${indent}${CODE_INDENT}`;
+                this.replace(start, end, `${inner}\n${indent}`, start + inner.length);
+            } else {
+                this.replace(start, end, `\n${indent}${CODE_INDENT}`);
+            }
+        } else if (Object.values(CODE_BRACKETS).includes(e.key) && start === end &&
+            beforeCaret.endsWith(CODE_INDENT) && beforeCaret.trim() === '') {
+            // A closing bracket typed on a blank line steps back one indent
+            e.preventDefault();
+            this.replace(start - CODE_INDENT.length, start, e.key);
+        }
+    }
+    
+    syncScroll() {
+        this.highlightEl.scrollTop = this.textarea.scrollTop;
+        this.highlightEl.scrollLeft = this.textarea.scrollLeft;
+        this.gutterEl.scrollTop = this.textarea.scrollTop;
+    }
+    
+    // Brackets to mark: the one at the caret and its partner, or the caret
+    // bracket alone when it has none. Returns offset -> class.
+    bracketMarks(text, tokens) {
+        const marks = new Map();
+        const { selectionStart, selectionEnd } = this.textarea;
+        if (selectionStart !== selectionEnd || document.activeElement !== this.textarea) return marks;
+        
+        const brackets = new Set(tokens.filter(token => token.type === 'bracket').map(token => token.start));
+        const at = [selectionStart - 1, selectionStart].find(offset => brackets.has(offset));
+        if (at === undefined) return marks;
+        
+        const partners = matchBrackets(text, tokens);
+        if (partners.has(at)) {
+            marks.set(at, 'code-bracket-match');
+            marks.set(partners.get(at), 'code-bracket-match');
+        } else {
+            marks.set(at, 'code-bracket-unmatched');
+        }
+        return marks;
+    }
+    
+    render() {
+        const text = this.textarea.value;
+        const tokens = tokenizeCode(text);
+        const marks = this.bracketMarks(text, tokens);
+        
+        let html = '';
+        let position = 0;
+        tokens.forEach(token => {
+            html += escapeHtml(text.slice(position, token.start));
+            const className = marks.get(token.start) || `code-${token.type}`;
+            html += `<span class="${className}">${escapeHtml(text.slice(token.start, token.end))}</span>`;
+            position = token.end;
+        });
+        html += escapeHtml(text.slice(position));
+        
+        const lines = text.split('\n');
+        const error = this.error;
+        const errorLine = error && error.line >= 1 && error.line <= lines.length ? error.line : null;
+        if (errorLine !== null) {
+            // Positioned in lines and characters, so it scrolls with the code
+            const column = lines[errorLine - 1].replace(/\t/g, CODE_INDENT).length + 2;
+            html += `<div class="code-error-line" style="--line: ${errorLine}"></div>` +
+                `<span class="code-error-lens" style="--line: ${errorLine}; --column: ${column}">` +
+                `${escapeHtml(error.message)}</span>`;
+        }
+        // A trailing newline needs something after it to get its own line
+        this.highlightEl.innerHTML = html + ' ';
+        
+        this.gutterEl.innerHTML = lines.map((line, i) =>
+            i + 1 === errorLine ? `<span class="code-gutter-error">${i + 1}</span>` : String(i + 1)).join('\n');
+            
+        this.errorEl.classList.toggle('hidden', !error);
+        this.errorEl.textContent = error ? formatCodeError(error) : '';
+        this.syncScroll();
+    }
+}
+
+// "Line 12: TypeError: ..." or just the message when the line is unknown
+function formatCodeError(error) {
+    return error.line ? `Line ${error.line}: ${error.message}` : error.message;
+}
@@ -2,24 +2,14 @@
 // AI PLATFORMER BATTLE - Game Engine
 // ============================================
 
-// Game Constants
-const GRID_SIZE = 100;
+// Rendering Constants
+// (Grid, tick and physics constants live in simulation.js)
 const TILE_SIZE = 5; // Canvas pixels per grid unit
 const CANVAS_SIZE = 500;
-const PLAYER_SIZE = 5; // 5x5 grid units
-const TICK_RATE = 10; // 10 ticks per second
-const TICK_INTERVAL = 1000 / TICK_RATE; // 100ms
-const AI_TIMEOUT = 100; // 100ms timeout for AI
-const FINISH_COUNTDOWN = 10; // 10 seconds after first player finishes
-
-// Physics Constants
-const GRAVITY = 50; // Grid units per second squared
-const MAX_HORIZONTAL_FORCE = 80; // Max horizontal acceleration
-const JUMP_FORCE = 35; // Jump impulse
-const FRICTION = 0.95; // Horizontal friction when grounded (was 0.85 - too strong)
-const AIR_RESISTANCE = 0.98; // Horizontal friction when airborne
-const MAX_VELOCITY_X = 40; // Max horizontal velocity
-const MAX_VELOCITY_Y = 60; // Max vertical velocity (falling)
+const MAX_TICKS_BEHIND = 5; // Catch-up limit after the tab stalls
+const MIN_PLAYERS = 2; // Battles on the setup screen; level test runs have one
+const MAX_PLAYERS = 8;
+const MATCH_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16, Infinity]; // Infinity: each tick as soon as the last one is done
 
 // Colors
 const COLORS = {
@@ -30,6 +20,24 @@ const COLORS = {
     lavaGlow: '#ff6666',
     goal: '#ffd700',
     goalGlow: '#ffed4a',
+    checkpoint: '#3d6b8c',
+    checkpointActive: '#66ccff',
+    crumble: '#6e5a44',
+    crumbleCrack: '#3a2e22',
+    timedPlatform: '#7a8b55',
+    timedLava: '#ff8844',
+    mover: '#9a9ab0',
+    ice: '#a8e0ff',
+    iceShine: '#e8f8ff',
+    conveyor: '#555566',
+    conveyorStripe: '#ffcc44',
+    bounce: '#ff66cc',
+    bounceTop: '#ffc0ea',
+    moverHighlight: '#c8c8dc',
+    wind: 'rgba(200, 220, 255, 0.12)',
+    windStreak: 'rgba(200, 220, 255, 0.5)',
+    gravity: 'rgba(170, 110, 255, 0.2)',
+    water: 'rgba(40, 110, 230, 0.4)',
     player1: '#ff6b6b',
     player2: '#4ecdc4',
     air: '#0f0f1a'
@@ -37,13 +45,22 @@ const COLORS = {
 
 // Game State
 let gameState = 'setup'; // 'setup', 'playing', 'finished'
+let simulation = null;
 let players = [];
-let globalTick = 0;
-let globalStartTime = 0;
-let countdownStartTime = null;
-let firstFinisher = null;
 let animationFrameId = null;
-let lastTickTime = 0;
+let lastFrameTime = 0;
+let tickAccumulator = 0; // Real milliseconds not yet turned into ticks
+let tickInFlight = false; // Waiting on the AI workers for the next tick
+let paused = false; // No ticks run while paused; the screens keep drawing
+let matchSpeed = 1; // Game time per real time, one of MATCH_SPEEDS
+let matchConfig = null;
+let matchSeed = 0;
+let recorder = null;
+let telemetry = null;
+let lastStats = null; // Telemetry of the most recent finished match
+let lastReplay = null; // Replay of the most recent finished match
+let series = null; // { seed, race, wins, over } of the best-of-N series being played; race counts from 0
+let matchConsoles = []; // Each player's AIConsole from the most recent match
 
 // DOM Elements
 const setupScreen = document.getElementById('setup-screen');
@@ -51,421 +68,430 @@ const gameScreen = document.getElementById('game-screen');
 const resultsScreen = document.getElementById('results-screen');
 const startBtn = document.getElementById('start-btn');
 const restartBtn = document.getElementById('restart-btn');
+const pauseBtn = document.getElementById('pause-btn');
+const stepBtn = document.getElementById('step-btn');
+const matchSpeedEl = document.getElementById('match-speed');
+const pauseOnDeathInput = document.getElementById('pause-on-death');
+const pauseOnErrorInput = document.getElementById('pause-on-error');
+const pauseOnTimeoutInput = document.getElementById('pause-on-timeout');
 const playAgainBtn = document.getElementById('play-again-btn');
-const codeEditor1 = document.getElementById('code-editor-1');
-const codeEditor2 = document.getElementById('code-editor-2');
-const canvas1 = document.getElementById('canvas-1');
-const canvas2 = document.getElementById('canvas-2');
-const ctx1 = canvas1.getContext('2d');
-const ctx2 = canvas2.getContext('2d');
+const editorsContainer = document.getElementById('editors-container');
+const codeEditorTemplate = document.getElementById('code-editor-template');
+const playerCountEl = document.getElementById('player-count');
+const addPlayerBtn = document.getElementById('add-player-btn');
+const removePlayerBtn = document.getElementById('remove-player-btn');
+const seedInput = document.getElementById('seed-input');
+const newSeedBtn = document.getElementById('new-seed-btn');
+const arenaInput = document.getElementById('arena-input');
+const matchModeEl = document.getElementById('match-mode');
+const bestOfInput = document.getElementById('best-of-input');
+const countdownInput = document.getElementById('countdown-input');
+const timeLimitInput = document.getElementById('time-limit-input');
+const deathPenaltyInput = document.getElementById('death-penalty-input');
+const physicsSelect = document.getElementById('physics-select');
+const gamePanelsEl = document.getElementById('game-panels');
 const elapsedTimeEl = document.getElementById('elapsed-time');
 const tickCountEl = document.getElementById('tick-count');
 const countdownEl = document.getElementById('countdown');
-const p1LevelEl = document.getElementById('p1-level');
-const p2LevelEl = document.getElementById('p2-level');
+const pausedEl = document.getElementById('paused-text');
+const resultsBodyEl = document.getElementById('results-body');
+const statsBodyEl = document.getElementById('stats-body');
+const resultsConsolePicker = document.getElementById('results-console-player');
+const resultsConsoleView = document.getElementById('results-console-view');
 
-// Player Class
-class Player {
-    constructor(id, code, canvas, ctx) {
-        this.id = id;
-        this.code = code;
-        this.canvas = canvas;
-        this.ctx = ctx;
-        this.aiFunction = null;
-        this.memory = {};
-        this.currentLevel = 0;
-        this.position = { x: 0, y: 0 };
-        this.velocity = { x: 0, y: 0 };
-        this.isGrounded = false;
-        this.levelData = null;
-        this.levelStartTime = 0;
-        this.levelTicks = 0;
-        this.totalTime = 0;
-        this.totalTicks = 0;
-        this.finished = false;
-        this.finishTime = null;
-        
-        this.compileAI();
-        this.loadLevel(0);
-    }
-    
-    compileAI() {
-        try {
-            // Create a sandboxed function from the code
-            // The function should be named 'ai' in the code
-            const wrappedCode = `
-                ${this.code}
-                return ai;
-            `;
-            this.aiFunction = new Function(wrappedCode)();
-        } catch (e) {
-            console.error(`Player ${this.id} AI compilation error:`, e);
-            // Default AI that does nothing
-            this.aiFunction = () => ({ forceX: 0, forceY: 0, memory: {} });
-        }
-    }
-    
-    loadLevel(levelIndex) {
-        this.currentLevel = levelIndex; // Update level count first
-        
-        if (levelIndex >= PARSED_LEVELS.length) {
-            this.finished = true;
-            this.finishTime = performance.now();
-            return;
-        }
-        this.levelData = PARSED_LEVELS[levelIndex];
+let codeEditors = []; // One CodeEditor per player on the setup screen
+const aiLibrary = new AILibrary(window.localStorage);
+let gamePanels = []; // createPlayerPanels() output for the current match
+
+// Players 1 and 2 keep their classic colors; the rest are spread around
+// the color wheel between them
+function playerColor(id) {
+    if (id === 1) return COLORS.player1;
+    if (id === 2) return COLORS.player2;
+    return `hsl(${(30 + (id - 3) * 60) % 360}, 75%, 65%)`;
+}
+
+// Fill `container` with one canvas panel per player, each captioned with
+// the player's label, level, AI status and a (hidden) debug drawing
+// toggle, with the first AI error below.
+// Returns [{ panel, canvas, ctx, levelEl, statusEl, debugBtn, errorEl }] in player order.
+function createPlayerPanels(container, count) {
+    container.innerHTML = '';
+    container.classList.toggle('crowded', count > 2);
+    const panels = [];
+    for (let id = 1; id <= count; id++) {
+        const panel = document.createElement('div');
+        panel.className = 'game-panel';
+        panel.style.setProperty('--player-color', playerColor(id));
         
-        // Safety check for missing start position
-        if (!this.levelData.startPos) {
-            console.error(`Level ${levelIndex + 1} is missing a start position (S)`);
-            this.levelData.startPos = { x: 5, y: 10 }; // Fallback
-        }
+        const info = document.createElement('div');
+        info.className = 'player-info';
+        const label = document.createElement('span');
+        label.className = 'player-label';
+        label.textContent = `P${id}`;
+        const levelEl = document.createElement('span');
+        levelEl.className = 'level-display';
+        levelEl.textContent = 'Level 1';
+        const statusEl = document.createElement('span');
+        statusEl.className = 'ai-status';
+        const debugBtn = document.createElement('button');
+        debugBtn.className = 'pixel-btn small debug-toggle hidden';
+        debugBtn.textContent = 'DEBUG';
+        debugBtn.title = 'Show or hide what this AI draws';
+        info.append(label, levelEl, statusEl, debugBtn);
         
-        this.position = { 
-            x: this.levelData.startPos.x, 
-            y: this.levelData.startPos.y + 1 // Start slightly above the start tile
-        };
-        this.velocity = { x: 0, y: 0 };
-        this.isGrounded = false;
-        this.memory = {}; // Reset memory per level
-        this.levelStartTime = performance.now();
-        this.levelTicks = 0;
-    }
-    
-    resetToStart() {
-        this.position = { 
-            x: this.levelData.startPos.x, 
-            y: this.levelData.startPos.y + 1
-        };
-        this.velocity = { x: 0, y: 0 };
-        this.isGrounded = false;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = CANVAS_SIZE;
+        const errorEl = document.createElement('div');
+        errorEl.className = 'panel-error';
+        panel.append(info, canvas, errorEl);
+        container.appendChild(panel);
+        panels.push({ panel, canvas, ctx: canvas.getContext('2d'), levelEl, statusEl, debugBtn, errorEl });
     }
+    return panels;
+}
+
+// Draw a level's tiles (and background) with `tileSize` canvas pixels
+// per grid unit. Shared by the game, the level editor and thumbnails.
+// Pass a player's simulation `state` to draw crumbling and timed tiles as
+// they currently are for that player; without one they are all drawn solid
+function drawLevel(ctx, grid, tileSize, state = null) {
+    const canvasSize = GRID_SIZE * tileSize;
     
-    update(deltaTime) {
-        if (this.finished) return;
-        
-        // Apply gravity
-        this.velocity.y -= GRAVITY * deltaTime;
-        
-        // Apply friction/air resistance
-        if (this.isGrounded) {
-            this.velocity.x *= Math.pow(FRICTION, deltaTime * 60);
-        } else {
-            this.velocity.x *= Math.pow(AIR_RESISTANCE, deltaTime * 60);
-        }
-        
-        // Clamp velocities
-        this.velocity.x = Math.max(-MAX_VELOCITY_X, Math.min(MAX_VELOCITY_X, this.velocity.x));
-        this.velocity.y = Math.max(-MAX_VELOCITY_Y, Math.min(MAX_VELOCITY_Y, this.velocity.y));
-        
-        // Store old position for collision resolution
-        const oldX = this.position.x;
-        const oldY = this.position.y;
-        
-        // Apply velocity
-        this.position.x += this.velocity.x * deltaTime;
-        this.position.y += this.velocity.y * deltaTime;
-        
-        // Collision detection and resolution
-        this.handleCollisions(oldX, oldY);
-        
-        // Check for lava
-        if (this.checkLavaCollision()) {
-            this.resetToStart();
-            return;
-        }
-        
-        // Check for goal
-        if (this.checkGoalCollision()) {
-            this.totalTime += (performance.now() - this.levelStartTime) / 1000;
-            this.totalTicks += this.levelTicks;
-            this.loadLevel(this.currentLevel + 1);
-        }
-    }
+    // Clear canvas
+    ctx.fillStyle = COLORS.air;
+    ctx.fillRect(0, 0, canvasSize, canvasSize);
     
-    handleCollisions(oldX, oldY) {
-        const playerLeft = this.position.x;
-        const playerRight = this.position.x + PLAYER_SIZE;
-        const playerBottom = this.position.y;
-        const playerTop = this.position.y + PLAYER_SIZE;
-        
-        this.isGrounded = false;
-        
-        // Check all tiles the player might be touching
-        const minTileX = Math.floor(playerLeft);
-        const maxTileX = Math.floor(playerRight);
-        const minTileY = Math.floor(playerBottom);
-        const maxTileY = Math.floor(playerTop);
-        
-        for (let tx = minTileX; tx <= maxTileX; tx++) {
-            for (let ty = minTileY; ty <= maxTileY; ty++) {
-                if (tx < 0 || tx >= GRID_SIZE || ty < 0 || ty >= GRID_SIZE) continue;
-                
-                const tile = this.levelData.grid[tx][ty];
-                if (tile !== 'platform') continue;
-                
-                // Tile bounds
-                const tileLeft = tx;
-                const tileRight = tx + 1;
-                const tileBottom = ty;
-                const tileTop = ty + 1;
-                
-                // Check overlap
-                const overlapLeft = playerRight - tileLeft;
-                const overlapRight = tileRight - playerLeft;
-                const overlapBottom = playerTop - tileBottom;
-                const overlapTop = tileTop - playerBottom;
+    // Draw grid tiles
+    for (let x = 0; x < GRID_SIZE; x++) {
+        for (let y = 0; y < GRID_SIZE; y++) {
+            const tile = grid[x][y];
+            const screenX = x * tileSize;
+            const screenY = canvasSize - (y + 1) * tileSize; // Flip Y for screen coords
+            
+            switch (tile) {
+                case 'platform':
+                    // Platform with pixel art style
+                    ctx.fillStyle = COLORS.platform;
+                    ctx.fillRect(screenX, screenY, tileSize, tileSize);
+                    // Highlight
+                    ctx.fillStyle = COLORS.platformHighlight;
+                    ctx.fillRect(screenX, screenY, tileSize, 1);
+                    break;
+                    
+                case 'lava':
+                    // Animated lava
+                    const lavaTime = performance.now() / 200;
+                    const lavaOffset = Math.sin(lavaTime + x * 0.5) * 0.3;
+                    ctx.fillStyle = COLORS.lava;
+                    ctx.fillRect(screenX, screenY, tileSize, tileSize);
+                    // Lava glow effect
+                    ctx.fillStyle = `rgba(255, 100, 100, ${0.3 + lavaOffset * 0.2})`;
+                    ctx.fillRect(screenX, screenY, tileSize, tileSize * 0.3);
+                    break;
+                    
+                case 'start':
+                    // Start position marker
+                    ctx.fillStyle = '#44ff44';
+                    ctx.fillRect(screenX, screenY, tileSize, tileSize);
+                    break;
+                    
+                case 'checkpoint':
+                    ctx.fillStyle = COLORS.checkpoint;
+                    ctx.fillRect(screenX, screenY, tileSize, tileSize);
+                    break;
+                    
+                case 'crumble': {
+                    const crumble = state ? crumbleState(state, x, y) : 'solid';
+                    if (crumble === 'gone') break;
+                    // Shakes while it is about to give way
+                    const shake = crumble === 'crumbling' ? Math.sin(performance.now() / 30) : 0;
+                    ctx.fillStyle = COLORS.crumble;
+                    ctx.fillRect(screenX + shake, screenY, tileSize, tileSize);
+                    ctx.fillStyle = COLORS.crumbleCrack;
+                    ctx.fillRect(screenX + shake + tileSize / 2, screenY, 1, tileSize);
+                    break;
+                }
                 
-                if (overlapLeft > 0 && overlapRight > 0 && overlapBottom > 0 && overlapTop > 0) {
-                    // Find minimum overlap
-                    const minOverlapX = Math.min(overlapLeft, overlapRight);
-                    const minOverlapY = Math.min(overlapBottom, overlapTop);
+                case 'ice':
+                    ctx.fillStyle = COLORS.ice;
+                    ctx.fillRect(screenX, screenY, tileSize, tileSize);
+                    ctx.fillStyle = COLORS.iceShine;
+                    ctx.fillRect(screenX, screenY, tileSize, 1);
+                    break;
                     
-                    if (minOverlapY < minOverlapX) {
-                        // Vertical collision
-                        if (overlapBottom < overlapTop) {
-                            // Hitting from below (head bump)
-                            this.position.y = tileBottom - PLAYER_SIZE;
-                            this.velocity.y = Math.min(0, this.velocity.y);
-                        } else {
-                            // Landing on top
-                            this.position.y = tileTop;
-                            this.velocity.y = Math.max(0, this.velocity.y);
-                            this.isGrounded = true;
-                        }
-                    } else {
-                        // Horizontal collision
-                        if (overlapLeft < overlapRight) {
-                            // Hitting from the left
-                            this.position.x = tileLeft - PLAYER_SIZE;
-                            this.velocity.x = Math.min(0, this.velocity.x);
-                        } else {
-                            // Hitting from the right
-                            this.position.x = tileRight;
-                            this.velocity.x = Math.max(0, this.velocity.x);
-                        }
+                case 'conveyor-left':
+                case 'conveyor-right': {
+                    // Stripes scroll in the direction the belt carries
+                    ctx.fillStyle = COLORS.conveyor;
+                    ctx.fillRect(screenX, screenY, tileSize, tileSize);
+                    const direction = tile === 'conveyor-left' ? -1 : 1;
+                    const speed = state ? state.physics.conveyorSpeed : CONVEYOR_SPEED;
+                    const travelled = performance.now() / 1000 * speed * direction;
+                    if ((((x - travelled) % 2) + 2) % 2 < 1) {
+                        ctx.fillStyle = COLORS.conveyorStripe;
+                        ctx.fillRect(screenX, screenY, tileSize, Math.max(1, tileSize * 0.3));
                     }
+                    break;
+                }
+                
+                case 'bounce':
+                    ctx.fillStyle = COLORS.bounce;
+                    ctx.fillRect(screenX, screenY, tileSize, tileSize);
+                    ctx.fillStyle = COLORS.bounceTop;
+                    ctx.fillRect(screenX, screenY, tileSize, Math.max(1, tileSize * 0.3));
+                    break;
+                    
+                case 'timed-platform':
+                case 'timed-lava': {
+                    // Faint outline of where it will be while switched off
+                    const on = !state || timerOn(state.levelData.timer, state.levelSteps);
+                    ctx.globalAlpha = on ? 1 : 0.2;
+                    ctx.fillStyle = tile === 'timed-platform' ? COLORS.timedPlatform : COLORS.timedLava;
+                    ctx.fillRect(screenX, screenY, tileSize, tileSize);
+                    ctx.globalAlpha = 1;
+                    break;
                 }
+                
+                case 'end':
+                    // Goal with pulsing effect
+                    const goalTime = performance.now() / 300;
+                    const goalPulse = 0.7 + Math.sin(goalTime) * 0.3;
+                    ctx.fillStyle = COLORS.goal;
+                    ctx.fillRect(screenX, screenY, tileSize, tileSize);
+                    ctx.fillStyle = `rgba(255, 237, 74, ${goalPulse * 0.5})`;
+                    ctx.fillRect(screenX - 1, screenY - 1, tileSize + 2, tileSize + 2);
+                    break;
             }
         }
+    }
+}
+
+// Moving platforms as they are `steps` physics sub-steps into the level
+function drawMovers(ctx, movers, steps, tileSize) {
+    const canvasSize = GRID_SIZE * tileSize;
+    movers.forEach(mover => {
+        const pos = moverPosition(mover, steps);
+        const screenX = pos.x * tileSize;
+        const screenY = canvasSize - (pos.y + mover.height) * tileSize;
+        ctx.fillStyle = COLORS.mover;
+        ctx.fillRect(screenX, screenY, mover.width * tileSize, mover.height * tileSize);
+        ctx.fillStyle = COLORS.moverHighlight;
+        ctx.fillRect(screenX, screenY, mover.width * tileSize, Math.min(tileSize, 2));
+    });
+}
+
+// @wind, @gravity and @water regions, as tinted overlays; wind also gets
+// streaks pointing the way it blows
+function drawZones(ctx, zones, tileSize) {
+    const canvasSize = GRID_SIZE * tileSize;
+    zones.forEach(zone => {
+        const screenX = zone.x * tileSize;
+        const screenY = canvasSize - (zone.y + zone.height) * tileSize;
+        ctx.fillStyle = COLORS[zone.type];
+        ctx.fillRect(screenX, screenY, zone.width * tileSize, zone.height * tileSize);
         
-        // Boundary checks
-        if (this.position.x < 0) {
-            this.position.x = 0;
-            this.velocity.x = Math.max(0, this.velocity.x);
-        }
-        if (this.position.x + PLAYER_SIZE > GRID_SIZE) {
-            this.position.x = GRID_SIZE - PLAYER_SIZE;
-            this.velocity.x = Math.min(0, this.velocity.x);
-        }
-        if (this.position.y < 0) {
-            this.position.y = 0;
-            this.velocity.y = Math.max(0, this.velocity.y);
-            this.isGrounded = true;
-        }
-        if (this.position.y + PLAYER_SIZE > GRID_SIZE) {
-            this.position.y = GRID_SIZE - PLAYER_SIZE;
-            this.velocity.y = Math.min(0, this.velocity.y);
+        const strength = Math.sqrt(zone.forceX * zone.forceX + zone.forceY * zone.forceY);
+        if (zone.type !== 'wind' || strength === 0) return;
+        const dx = zone.forceX / strength * 3 * tileSize;
+        const dy = -zone.forceY / strength * 3 * tileSize;
+        ctx.strokeStyle = COLORS.windStreak;
+        ctx.lineWidth = Math.max(1, tileSize / 4);
+        ctx.beginPath();
+        for (let x = zone.x + 2; x < zone.x + zone.width - 2; x += 8) {
+            for (let y = zone.y + 2; y < zone.y + zone.height - 2; y += 8) {
+                const cx = x * tileSize;
+                const cy = canvasSize - y * tileSize;
+                ctx.moveTo(cx - dx / 2, cy - dy / 2);
+                ctx.lineTo(cx + dx / 2, cy + dy / 2);
+            }
         }
-    }
+        ctx.stroke();
+    });
+}
+
+// One player's character, interpolated `alpha` of the way from its
+// previous to its current position
+function drawCharacter(ctx, state, alpha, color) {
+    // Interpolate between the last two ticks for smooth movement
+    const x = state.prevPosition.x + (state.position.x - state.prevPosition.x) * alpha;
+    const y = state.prevPosition.y + (state.position.y - state.prevPosition.y) * alpha;
+    const playerScreenX = x * TILE_SIZE;
+    const playerScreenY = CANVAS_SIZE - (y + PLAYER_SIZE) * TILE_SIZE;
+    
+    // Player glow
+    ctx.shadowColor = color;
+    ctx.shadowBlur = 10;
+    
+    // Player body
+    ctx.fillStyle = color;
+    ctx.fillRect(playerScreenX, playerScreenY, PLAYER_SIZE * TILE_SIZE, PLAYER_SIZE * TILE_SIZE);
+    
+    // Player highlight
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.fillRect(playerScreenX, playerScreenY, PLAYER_SIZE * TILE_SIZE, TILE_SIZE);
     
-    checkLavaCollision() {
-        const playerLeft = Math.floor(this.position.x);
-        const playerRight = Math.floor(this.position.x + PLAYER_SIZE);
-        const playerBottom = Math.floor(this.position.y);
-        const playerTop = Math.floor(this.position.y + PLAYER_SIZE);
+    // Eyes
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = '#fff';
+    const eyeSize = TILE_SIZE * 0.8;
+    const eyeY = playerScreenY + TILE_SIZE * 1.5;
+    ctx.fillRect(playerScreenX + TILE_SIZE * 0.8, eyeY, eyeSize, eyeSize);
+    ctx.fillRect(playerScreenX + TILE_SIZE * 2.8, eyeY, eyeSize, eyeSize);
+    
+    // Pupils (look in direction of movement)
+    ctx.fillStyle = '#000';
+    const pupilOffset = state.velocity.x > 0 ? 2 : (state.velocity.x < 0 ? -2 : 0);
+    const pupilSize = TILE_SIZE * 0.4;
+    ctx.fillRect(playerScreenX + TILE_SIZE * 1 + pupilOffset, eyeY + 2, pupilSize, pupilSize);
+    ctx.fillRect(playerScreenX + TILE_SIZE * 3 + pupilOffset, eyeY + 2, pupilSize, pupilSize);
+    
+    ctx.shadowBlur = 0;
+}
+
+// The shapes an AI returned in its result's `debug` array, in grid
+// coordinates like its position. Shapes without a color use `color`.
+function drawDebugShapes(ctx, shapes, color) {
+    const screenX = x => x * TILE_SIZE;
+    const screenY = y => CANVAS_SIZE - y * TILE_SIZE;
+    ctx.lineWidth = 1;
+    ctx.font = '8px "Press Start 2P"';
+    ctx.textAlign = 'left';
+    
+    shapes.forEach(shape => {
+        // An invalid color string leaves the default in place
+        ctx.fillStyle = ctx.strokeStyle = color;
+        if (shape.color) ctx.fillStyle = ctx.strokeStyle = shape.color;
         
-        for (let tx = playerLeft; tx <= playerRight; tx++) {
-            for (let ty = playerBottom; ty <= playerTop; ty++) {
-                if (tx < 0 || tx >= GRID_SIZE || ty < 0 || ty >= GRID_SIZE) continue;
-                if (this.levelData.grid[tx][ty] === 'lava') {
-                    return true;
-                }
+        if (shape.type === 'point') {
+            ctx.fillRect(screenX(shape.x) - 2, screenY(shape.y) - 2, 4, 4);
+        } else if (shape.type === 'line') {
+            ctx.beginPath();
+            ctx.moveTo(screenX(shape.x1), screenY(shape.y1));
+            ctx.lineTo(screenX(shape.x2), screenY(shape.y2));
+            ctx.stroke();
+        } else if (shape.type === 'rect') {
+            // Bottom-left corner and size, like zones and movers
+            const rect = [screenX(shape.x), screenY(shape.y + shape.height), shape.width * TILE_SIZE, shape.height * TILE_SIZE];
+            if (shape.fill) {
+                ctx.globalAlpha = 0.35;
+                ctx.fillRect(...rect);
+                ctx.globalAlpha = 1;
+            } else {
+                ctx.strokeRect(...rect);
             }
+        } else if (shape.type === 'text') {
+            ctx.fillText(shape.text, screenX(shape.x), screenY(shape.y));
         }
-        return false;
+    });
+}
+
+// Player Class
+// Browser-side view of one simulated player: owns the AI worker and
+// draws the simulation state onto its canvas. `editor` is the CodeEditor
+// the code came from, if any, to show the AI's errors in; everything the
+// AI logs goes to its AIConsole.
+class Player {
+    constructor(id, code, canvas, ctx, state, seed, editor = null) {
+        this.id = id;
+        this.code = code;
+        this.canvas = canvas;
+        this.ctx = ctx;
+        this.state = state; // Simulation state for this player (read-only here)
+        this.aiWorker = code === null ? null : new AIWorker(id, code, seed); // No AI when only viewing (replays)
+        this.console = code === null ? null : new AIConsole();
+        this.lastInput = null; // What the AI was given on its last tick, and
+        this.lastResponse = null; // what came back from its worker
+        this.aiStatus = 'ok'; // Outcome of the last tick: 'ok', 'error', 'timeout' or 'restarting'
+        this.firstError = null; // { message, line } of the first error this match
+        this.debugShapes = []; // What the AI asked to have drawn on its last tick
+        this.drawsDebug = false; // Whether the AI has drawn anything this match
+        this.showDebug = true;
+        this.editor = editor;
+        this.memoryLevel = state.currentLevel;
     }
     
-    checkGoalCollision() {
-        const playerLeft = Math.floor(this.position.x);
-        const playerRight = Math.floor(this.position.x + PLAYER_SIZE);
-        const playerBottom = Math.floor(this.position.y);
-        const playerTop = Math.floor(this.position.y + PLAYER_SIZE);
-        
-        for (let tx = playerLeft; tx <= playerRight; tx++) {
-            for (let ty = playerBottom; ty <= playerTop; ty++) {
-                if (tx < 0 || tx >= GRID_SIZE || ty < 0 || ty >= GRID_SIZE) continue;
-                if (this.levelData.grid[tx][ty] === 'end') {
-                    return true;
-                }
-            }
+    // Keep the first error; later ticks usually just repeat it
+    reportError(message, line) {
+        if (this.firstError) return;
+        this.firstError = { message, line };
+        if (this.editor && this.editor.value === this.code) {
+            this.editor.setError(this.firstError);
         }
-        return false;
     }
     
-    executeAI(tick, elapsedTime) {
-        if (this.finished) return;
-        
-        this.levelTicks++;
-        
-        // Prepare data for AI
-        const levelDataCopy = {
-            grid: this.levelData.grid,
-            startPos: { ...this.levelData.startPos },
-            endPos: { ...this.levelData.endPos }
-        };
-        
-        // Create position object with all reference points
-        const positionCopy = {
-            bottomLeft: { x: this.position.x, y: this.position.y },
-            bottomRight: { x: this.position.x + PLAYER_SIZE, y: this.position.y },
-            topLeft: { x: this.position.x, y: this.position.y + PLAYER_SIZE },
-            topRight: { x: this.position.x + PLAYER_SIZE, y: this.position.y + PLAYER_SIZE },
-            center: { x: this.position.x + PLAYER_SIZE / 2, y: this.position.y + PLAYER_SIZE / 2 }
-        };
-        const velocityCopy = { ...this.velocity };
+    // Ask the AI for the upcoming tick's output. Resolves with the output,
+    // or null when the AI errored, timed out or is restarting.
+    executeAI(input) {
+        if (this.state.finished) {
+            this.lastInput = this.lastResponse = null;
+            return Promise.resolve(null);
+        }
         
-        // Execute AI with timeout
-        let result = null;
-        const startTime = performance.now();
+        // Reset memory per level
+        const level = this.state.currentLevel;
+        const resetMemory = this.memoryLevel !== level;
+        this.memoryLevel = level;
         
-        try {
-            // Create a promise that resolves with the AI result
-            result = this.aiFunction(
-                levelDataCopy,
-                positionCopy,
-                this.memory,
-                this.isGrounded,
-                velocityCopy,
-                tick,
-                elapsedTime
-            );
-            
-            const endTime = performance.now();
-            if (endTime - startTime > AI_TIMEOUT) {
-                console.warn(`Player ${this.id} AI exceeded time limit`);
-                result = null;
+        return this.aiWorker.run(input, resetMemory).then(response => {
+            this.lastInput = input;
+            this.lastResponse = response;
+            this.aiStatus = response.status;
+            this.console.log(input.tick, level, response.logs);
+            this.debugShapes = response.debug;
+            if (response.debug.length > 0) {
+                this.drawsDebug = true;
             }
-        } catch (e) {
-            console.error(`Player ${this.id} AI error:`, e);
-            result = null;
-        }
-        
-        // Apply AI output
-        if (result) {
-            // Update memory
-            if (result.memory !== undefined) {
-                this.memory = result.memory;
+            if (response.status === 'error') {
+                this.reportError(response.error, response.errorLine);
+                this.console.add(input.tick, level, 'error', formatCodeError({ message: response.error, line: response.errorLine }));
+            } else if (response.status === 'timeout') {
+                this.console.add(input.tick, level, 'warn', `Took longer than ${AI_TIMEOUT}ms; the tick was skipped`);
             }
-            
-            // Apply horizontal force
-            let forceX = parseFloat(result.forceX) || 0;
-            forceX = Math.max(-1, Math.min(1, forceX));
-            this.velocity.x += forceX * MAX_HORIZONTAL_FORCE * (TICK_INTERVAL / 1000);
-            
-            // Apply jump force (only when grounded)
-            if (this.isGrounded) {
-                let forceY = parseFloat(result.forceY) || 0;
-                forceY = Math.max(0, Math.min(1, forceY));
-                if (forceY > 0) {
-                    this.velocity.y = forceY * JUMP_FORCE;
-                    this.isGrounded = false;
-                }
-            }
-        }
+            return response.output;
+        });
     }
     
-    render() {
+    // `alpha` is how far (0..1) real time has moved into the next tick;
+    // `opponents` are the states of other players sharing this world
+    render(alpha, opponents = []) {
         const ctx = this.ctx;
+        const state = this.state;
         
-        // Clear canvas
-        ctx.fillStyle = COLORS.air;
-        ctx.fillRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+        // Clear canvas and draw grid tiles
+        drawLevel(ctx, state.levelData.grid, TILE_SIZE, state);
+        drawZones(ctx, state.levelData.zones, TILE_SIZE);
         
-        // Draw grid tiles
-        for (let x = 0; x < GRID_SIZE; x++) {
-            for (let y = 0; y < GRID_SIZE; y++) {
-                const tile = this.levelData.grid[x][y];
-                const screenX = x * TILE_SIZE;
-                const screenY = CANVAS_SIZE - (y + 1) * TILE_SIZE; // Flip Y for screen coords
-                
-                switch (tile) {
-                    case 'platform':
-                        // Platform with pixel art style
-                        ctx.fillStyle = COLORS.platform;
-                        ctx.fillRect(screenX, screenY, TILE_SIZE, TILE_SIZE);
-                        // Highlight
-                        ctx.fillStyle = COLORS.platformHighlight;
-                        ctx.fillRect(screenX, screenY, TILE_SIZE, 1);
-                        break;
-                        
-                    case 'lava':
-                        // Animated lava
-                        const lavaTime = performance.now() / 200;
-                        const lavaOffset = Math.sin(lavaTime + x * 0.5) * 0.3;
-                        ctx.fillStyle = COLORS.lava;
-                        ctx.fillRect(screenX, screenY, TILE_SIZE, TILE_SIZE);
-                        // Lava glow effect
-                        ctx.fillStyle = `rgba(255, 100, 100, ${0.3 + lavaOffset * 0.2})`;
-                        ctx.fillRect(screenX, screenY, TILE_SIZE, TILE_SIZE * 0.3);
-                        break;
-                        
-                    case 'start':
-                        // Start position marker
-                        ctx.fillStyle = '#44ff44';
-                        ctx.fillRect(screenX, screenY, TILE_SIZE, TILE_SIZE);
-                        break;
-                        
-                    case 'end':
-                        // Goal with pulsing effect
-                        const goalTime = performance.now() / 300;
-                        const goalPulse = 0.7 + Math.sin(goalTime) * 0.3;
-                        ctx.fillStyle = COLORS.goal;
-                        ctx.fillRect(screenX, screenY, TILE_SIZE, TILE_SIZE);
-                        ctx.fillStyle = `rgba(255, 237, 74, ${goalPulse * 0.5})`;
-                        ctx.fillRect(screenX - 1, screenY - 1, TILE_SIZE + 2, TILE_SIZE + 2);
-                        break;
-                }
-            }
-        }
+        // Moving platforms interpolate between ticks like the player does
+        const steps = Math.max(0, state.levelSteps - SUBSTEPS * (1 - alpha));
+        drawMovers(ctx, state.levelData.movers, steps, TILE_SIZE);
         
-        // Draw player
-        if (!this.finished) {
-            const playerScreenX = this.position.x * TILE_SIZE;
-            const playerScreenY = CANVAS_SIZE - (this.position.y + PLAYER_SIZE) * TILE_SIZE;
-            const playerColor = this.id === 1 ? COLORS.player1 : COLORS.player2;
-            
-            // Player glow
-            ctx.shadowColor = playerColor;
+        // Light up the checkpoint this player will respawn at
+        if (state.checkpoint && !state.finished) {
+            ctx.shadowColor = COLORS.checkpointActive;
             ctx.shadowBlur = 10;
-            
-            // Player body
-            ctx.fillStyle = playerColor;
-            ctx.fillRect(playerScreenX, playerScreenY, PLAYER_SIZE * TILE_SIZE, PLAYER_SIZE * TILE_SIZE);
-            
-            // Player highlight
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-            ctx.fillRect(playerScreenX, playerScreenY, PLAYER_SIZE * TILE_SIZE, TILE_SIZE);
-            
-            // Eyes
-            ctx.shadowBlur = 0;
-            ctx.fillStyle = '#fff';
-            const eyeSize = TILE_SIZE * 0.8;
-            const eyeY = playerScreenY + TILE_SIZE * 1.5;
-            ctx.fillRect(playerScreenX + TILE_SIZE * 0.8, eyeY, eyeSize, eyeSize);
-            ctx.fillRect(playerScreenX + TILE_SIZE * 2.8, eyeY, eyeSize, eyeSize);
-            
-            // Pupils (look in direction of movement)
-            ctx.fillStyle = '#000';
-            const pupilOffset = this.velocity.x > 0 ? 2 : (this.velocity.x < 0 ? -2 : 0);
-            const pupilSize = TILE_SIZE * 0.4;
-            ctx.fillRect(playerScreenX + TILE_SIZE * 1 + pupilOffset, eyeY + 2, pupilSize, pupilSize);
-            ctx.fillRect(playerScreenX + TILE_SIZE * 3 + pupilOffset, eyeY + 2, pupilSize, pupilSize);
-            
+            ctx.fillStyle = COLORS.checkpointActive;
+            ctx.fillRect(
+                state.checkpoint.x * TILE_SIZE,
+                CANVAS_SIZE - (state.checkpoint.y + 1) * TILE_SIZE,
+                TILE_SIZE,
+                TILE_SIZE
+            );
             ctx.shadowBlur = 0;
+        }
+        
+        // Other players in a shared arena, then this one on top
+        if (!state.finished) {
+            ctx.globalAlpha = 0.6;
+            opponents.forEach(opponent => drawCharacter(ctx, opponent, alpha, playerColor(opponent.id)));
+            ctx.globalAlpha = 1;
+            drawCharacter(ctx, state, alpha, playerColor(this.id));
+            if (this.showDebug) {
+                drawDebugShapes(ctx, this.debugShapes, playerColor(this.id));
+            }
         } else {
             // Show "FINISHED!" text
-            ctx.fillStyle = this.id === 1 ? COLORS.player1 : COLORS.player2;
+            ctx.fillStyle = playerColor(this.id);
             ctx.font = '20px "Press Start 2P"';
             ctx.textAlign = 'center';
             ctx.fillText('FINISHED!', CANVAS_SIZE / 2, CANVAS_SIZE / 2);
@@ -475,105 +501,417 @@ class Player {
 
 // Game Functions
 function showScreen(screenId) {
-    [setupScreen, gameScreen, resultsScreen].forEach(screen => {
+    document.querySelectorAll('.screen').forEach(screen => {
         screen.classList.remove('active');
     });
     document.getElementById(screenId).classList.add('active');
 }
 
-function startGame() {
+// Setup screen code editors
+function addCodeEditor() {
+    const id = codeEditors.length + 1;
+    const panel = codeEditorTemplate.content.firstElementChild.cloneNode(true);
+    panel.style.setProperty('--player-color', playerColor(id));
+    panel.querySelector('h2').textContent = `PLAYER ${id}`;
+    
+    const editor = new CodeEditor(panel.querySelector('textarea'), { check: checkAISyntax });
+    
+    const picker = panel.querySelector('.ai-picker');
+    fillAIPicker(picker);
+    picker.addEventListener('change', () => {
+        loadEditorAI(editor, picker.value);
+        picker.value = '';
+    });
+    panel.querySelector('.save-ai-btn').addEventListener('click', () => saveEditorAI(editor));
+    
+    codeEditors.push(editor);
+    editorsContainer.appendChild(panel);
+    updatePlayerCount();
+}
+
+function removeCodeEditor() {
+    const editor = codeEditors.pop();
+    editor.element.closest('.editor-panel').remove();
+    updatePlayerCount();
+}
+
+// Setup screen AI library pickers. Values are 'sample:<index>' or
+// 'saved:<name>'.
+function fillAIPicker(picker) {
+    picker.querySelectorAll('optgroup').forEach(group => group.remove()); // Keep the "LOAD AI..." placeholder
+    [
+        ['SAMPLES', AI_SAMPLES.map((sample, i) => [`sample:${i}`, sample.name])],
+        ['SAVED', aiLibrary.names().map(name => [`saved:${name}`, name])]
+    ].forEach(([label, entries]) => {
+        if (entries.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        entries.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            group.appendChild(option);
+        });
+        picker.appendChild(group);
+    });
+}
+
+function fillAIPickers() {
+    document.querySelectorAll('#editors-container .ai-picker').forEach(fillAIPicker);
+}
+
+function loadEditorAI(editor, value) {
+    const separator = value.indexOf(':');
+    const source = value.slice(0, separator);
+    const key = value.slice(separator + 1);
+    if (source === 'sample') {
+        setEditorAI(editor, AI_SAMPLES[key].code, null);
+    } else if (source === 'saved') {
+        setEditorAI(editor, aiLibrary.latest(key), key);
+    }
+}
+
+// `name` is the library AI the code came from, offered again on SAVE
+function setEditorAI(editor, code, name) {
+    editor.value = code;
+    editor.aiName = name || '';
+    editor.element.closest('.editor-panel').querySelector('.editor-ai-name').textContent = name || '';
+}
+
+function saveEditorAI(editor) {
+    const name = prompt('Save this AI to the library as:', editor.aiName || '');
+    if (name === null) return;
+    try {
+        setEditorAI(editor, editor.value, aiLibrary.save(name, editor.value));
+    } catch (e) {
+        alert(`Could not save the AI: ${e.message}`);
+        return;
+    }
+    fillAIPickers();
+}
+
+function updatePlayerCount() {
+    playerCountEl.textContent = codeEditors.length;
+    addPlayerBtn.disabled = codeEditors.length >= MAX_PLAYERS;
+    removePlayerBtn.disabled = codeEditors.length <= MIN_PLAYERS;
+    editorsContainer.classList.toggle('crowded', codeEditors.length > 2);
+}
+
+// The battle set up on the setup screen
+function defaultMatchConfig() {
+    return {
+        levels: selectedLevels(), // Level strings, played in order
+        codes: codeEditors.map(editor => editor.value), // One AI per player
+        editors: codeEditors.slice(), // Where each player's errors are shown
+        arena: arenaInput.checked, // Shared-arena mode, see Simulation
+        rules: setupRules(), // Passed through matchRules(); defaults when left out
+        returnScreen: 'setup-screen' // Where RESTART / PLAY AGAIN lead
+    };
+}
+
+// The rules picked on the setup screen, unchecked. Times are typed in
+// seconds and kept in ticks.
+function setupRules() {
+    const ticks = input => Math.round((parseFloat(input.value) || 0) * TICK_RATE);
+    return {
+        mode: matchModeEl.value,
+        bestOf: parseInt(bestOfInput.value, 10) || 1,
+        countdownTicks: ticks(countdownInput),
+        tickLimit: ticks(timeLimitInput) || null,
+        deathPenaltyTicks: ticks(deathPenaltyInput),
+        physics: physicsSelect.value
+    };
+}
+
+// matchRules() of `rules`, or null after alerting why they cannot be played
+function checkMatchRules(rules) {
+    try {
+        return matchRules(rules);
+    } catch (e) {
+        alert(`Cannot start: ${e.message}`);
+        return null;
+    }
+}
+
+// Alert and return false unless `levels` are fit to play. Structural
+// checks only; the reachability search is too slow to run on every start
+// and lives in the level editor.
+function checkMatchLevels(levels) {
+    if (levels.length === 0) {
+        alert('Pick at least one level to play');
+        return false;
+    }
+    const levelErrors = [];
+    levels.forEach((level, i) => {
+        validateLevel(level, { reachability: false }).issues
+            .filter(issue => issue.severity === 'error')
+            .forEach(issue => levelErrors.push(`Level ${i + 1}: ${formatIssue(issue)}`));
+    });
+    if (levelErrors.length > 0) {
+        alert(`Cannot start, the levels have errors:\n\n${levelErrors.join('\n')}`);
+        return false;
+    }
+    return true;
+}
+
+// `race` is the race of a best-of-N series to play: 0 starts a new series
+// from the setup screen's seed, later races get seeds derived from it
+async function startGame(config = defaultMatchConfig(), race = 0) {
+    const rules = checkMatchRules(config.rules);
+    if (!rules || !checkMatchLevels(config.levels)) return;
+    
+    startBtn.disabled = true;
+    
     // Reset game state
     gameState = 'playing';
-    globalTick = 0;
-    globalStartTime = performance.now();
-    countdownStartTime = null;
-    firstFinisher = null;
-    lastTickTime = performance.now();
+    matchConfig = config;
+    if (race === 0) {
+        series = { seed: parseSeed(seedInput.value), race: 0, wins: config.codes.map(() => 0), over: false };
+        seedInput.value = series.seed;
+    }
+    series.race = race;
+    matchSeed = race === 0 ? series.seed : mixSeed(series.seed, race);
+    const match = new Simulation(config.levels.map(parseLevel), config.codes.length, { arena: !!config.arena, rules });
+    simulation = match;
+    tickInFlight = false;
     
     // Create players
-    players = [
-        new Player(1, codeEditor1.value, canvas1, ctx1),
-        new Player(2, codeEditor2.value, canvas2, ctx2)
-    ];
+    gamePanels = createPlayerPanels(gamePanelsEl, config.codes.length);
+    players = config.codes.map((code, i) =>
+        new Player(i + 1, code, gamePanels[i].canvas, gamePanels[i].ctx, simulation.players[i], matchSeed,
+            config.editors ? config.editors[i] : null));
+    players.forEach((player, i) => {
+        gamePanels[i].debugBtn.addEventListener('click', () => {
+            player.showDebug = !player.showDebug;
+            updateUI();
+        });
+        gamePanels[i].inspectorEl = createTickInspector();
+        gamePanels[i].panel.append(gamePanels[i].inspectorEl, player.console.element);
+    });
+    matchConsoles = players.map(player => player.console);
+    setPaused(false);
     
     // Update UI
     updateUI();
     showScreen('game-screen');
     
+    // Wait for every AI to load before the clock starts
+    const codeHashes = await Promise.all(players.map(player => hashCode(player.code)));
+    await Promise.all(players.map(player => player.aiWorker.start()));
+    startBtn.disabled = false;
+    if (simulation !== match) return; // Reset while loading
+    players.forEach(player => player.console.log(null, 0, player.aiWorker.loadLogs));
+    
+    // An AI that does not compile would only stand still all match
+    const broken = players.filter(player => player.aiWorker.compileError);
+    broken.forEach(player => player.reportError(player.aiWorker.compileError, player.aiWorker.compileErrorLine));
+    if (broken.length > 0) {
+        const list = broken.map(player => `Player ${player.id}: ${formatCodeError(player.firstError)}`).join('\n');
+        if (!confirm(`Some AIs do not compile:\n\n${list}\n\nStart anyway? They will not move.`)) {
+            resetGame();
+            return;
+        }
+    }
+    recorder = new ReplayRecorder(config.levels, codeHashes, matchSeed, match.arena, match.rules);
+    telemetry = new MatchTelemetry(match, codeHashes, matchSeed);
+    
     // Start game loop
     if (animationFrameId) {
         cancelAnimationFrame(animationFrameId);
     }
-    gameLoop();
+    lastFrameTime = performance.now();
+    tickAccumulator = 0;
+    animationFrameId = requestAnimationFrame(gameLoop);
 }
 
-function gameLoop() {
-    const currentTime = performance.now();
-    const deltaTime = (currentTime - lastTickTime) / 1000;
+// Collect every AI's output in parallel, then advance the simulation. The
+// tick waits at most AI_TIMEOUT (plus messaging) for the slowest worker.
+function runTick() {
+    const match = simulation;
+    tickInFlight = true;
+    const deaths = match.players.map(state => state.deaths);
+    const statuses = players.map(player => player.aiStatus);
     
-    // Check if it's time for a new tick
-    const elapsedSinceStart = currentTime - globalStartTime;
-    const expectedTick = Math.floor(elapsedSinceStart / TICK_INTERVAL);
-    
-    if (expectedTick > globalTick) {
-        // Execute tick
-        globalTick = expectedTick;
-        const elapsedTime = elapsedSinceStart / 1000;
-        
-        players.forEach(player => {
-            player.executeAI(globalTick, elapsedTime);
+    Promise.resolve()
+        .then(() => Promise.all(players.map((player, i) => player.executeAI(match.getAIInput(i)))))
+        .then(actions => {
+            if (simulation !== match) return; // Match was reset meanwhile
+            match.step(actions);
+            recorder.record(actions, match);
+            telemetry.record(players.map(player => player.lastResponse));
+            tickInFlight = false;
+            
+            const events = pauseEvents(deaths, statuses);
+            if (events.length > 0) {
+                setPaused(true, `PAUSED: ${events.join(', ')}`);
+            }
+            updateTickInspectors();
+            // Past 1x a tick can be due before the next frame; a timeout
+            // rather than a direct call lets the page breathe between them
+            setTimeout(runDueTick);
+        })
+        .catch(error => {
+            // A bug on our side, not the AI's: stop here rather than
+            // wait forever on a tick that will never finish
+            console.error('Tick failed:', error);
+            if (simulation !== match) return;
+            tickInFlight = false;
+            setPaused(true, `PAUSED: TICK FAILED (${error && error.message})`);
         });
+}
+
+// Start the next tick if it is due and nothing holds it up
+function runDueTick() {
+    if (!simulation || paused || tickInFlight || simulation.over) return;
+    if (matchSpeed !== Infinity) {
+        if (tickAccumulator < TICK_INTERVAL) return;
+        tickAccumulator -= TICK_INTERVAL;
     }
-    
-    // Update physics (every frame for smooth movement)
-    players.forEach(player => {
-        player.update(deltaTime);
-    });
-    
-    // Check for first finisher
-    players.forEach(player => {
-        if (player.finished && !firstFinisher) {
-            firstFinisher = player;
-            countdownStartTime = performance.now();
+    runTick();
+}
+
+// What happened in the tick just run that the PAUSE ON boxes stop for,
+// given each player's deaths and AI status from before it. An AI that
+// keeps throwing or hanging pauses only when it starts.
+function pauseEvents(deaths, statuses) {
+    const events = [];
+    players.forEach((player, i) => {
+        if (pauseOnDeathInput.checked && player.state.deaths > deaths[i]) {
+            events.push(`P${player.id} DIED`);
+        }
+        if (pauseOnErrorInput.checked && player.aiStatus === 'error' && statuses[i] !== 'error') {
+            events.push(`P${player.id} ERROR`);
+        }
+        if (pauseOnTimeoutInput.checked && player.aiStatus === 'timeout' && statuses[i] !== 'timeout') {
+            events.push(`P${player.id} TIMED OUT`);
         }
     });
+    return events;
+}
+
+// Real time only decides when to run the next tick; everything a tick
+// computes is independent of frame rate, machine load, AI speed and the
+// playback speed.
+function gameLoop(currentTime) {
+    const elapsed = currentTime - lastFrameTime;
+    lastFrameTime = currentTime;
     
-    // Check countdown
-    if (countdownStartTime) {
-        const countdownElapsed = (performance.now() - countdownStartTime) / 1000;
-        if (countdownElapsed >= FINISH_COUNTDOWN || players.every(p => p.finished)) {
-            endGame();
-            return;
-        }
+    // Fall behind rather than spiral when ticks cannot keep up; time spent
+    // paused is not made up afterwards
+    if (paused) {
+        tickAccumulator = 0;
+    } else if (matchSpeed !== Infinity) {
+        tickAccumulator = Math.min(tickAccumulator + elapsed * matchSpeed, TICK_INTERVAL * MAX_TICKS_BEHIND);
+    }
+    runDueTick();
+    
+    if (simulation.over) {
+        endGame();
+        return;
     }
     
     // Render
+    const alpha = tickInFlight || paused ? 1 : Math.min(1, tickAccumulator / TICK_INTERVAL);
     players.forEach(player => {
-        player.render();
+        player.render(alpha, simulation.opponentsOf(player.state));
     });
     
     // Update UI
     updateUI();
     
-    lastTickTime = currentTime;
     animationFrameId = requestAnimationFrame(gameLoop);
 }
 
 function updateUI() {
-    const elapsedTime = (performance.now() - globalStartTime) / 1000;
-    elapsedTimeEl.textContent = elapsedTime.toFixed(2) + 's';
-    tickCountEl.textContent = `Tick: ${globalTick}`;
+    elapsedTimeEl.textContent = simulation.elapsedTime.toFixed(2) + 's';
+    tickCountEl.textContent = `Tick: ${simulation.tick}`;
     
-    if (countdownStartTime) {
-        const remaining = FINISH_COUNTDOWN - (performance.now() - countdownStartTime) / 1000;
-        countdownEl.textContent = `Finishing in: ${Math.max(0, remaining).toFixed(1)}s`;
+    const remainingTicks = simulation.remainingTicks;
+    if (remainingTicks !== null) {
+        countdownEl.textContent = `Finishing in: ${(remainingTicks / TICK_RATE).toFixed(1)}s`;
         countdownEl.classList.remove('hidden');
     } else {
         countdownEl.classList.add('hidden');
     }
     
-    p1LevelEl.textContent = players[0] ? `Level ${players[0].currentLevel + 1}` : 'Level 1';
-    p2LevelEl.textContent = players[1] ? `Level ${players[1].currentLevel + 1}` : 'Level 1';
+    players.forEach((player, i) => {
+        gamePanels[i].levelEl.textContent = `Level ${player.state.currentLevel + 1}`;
+        updateAIStatus(gamePanels[i].statusEl, player);
+        gamePanels[i].debugBtn.classList.toggle('hidden', !player.drawsDebug);
+        gamePanels[i].debugBtn.classList.toggle('selected', player.showDebug);
+        gamePanels[i].errorEl.textContent = player.firstError ? formatCodeError(player.firstError) : '';
+    });
+}
+
+const AI_STATUS_LABELS = {
+    ok: '',
+    error: 'AI ERROR',
+    timeout: 'TIMED OUT',
+    restarting: 'RESTARTING'
+};
+
+// Stop or resume running ticks; `reason` is shown while paused
+function setPaused(value, reason = 'PAUSED') {
+    paused = value;
+    pauseBtn.textContent = paused ? 'RESUME' : 'PAUSE';
+    stepBtn.disabled = !paused;
+    pausedEl.textContent = reason;
+    pausedEl.classList.toggle('hidden', !paused);
+}
+
+// Run exactly one tick while paused
+function stepOneTick() {
+    if (!paused || tickInFlight || !simulation || simulation.over) return;
+    runTick();
+}
+
+// A collapsible view, under a player's screen, of what its AI was given
+// on the last tick and what it returned
+function createTickInspector() {
+    const inspector = document.createElement('details');
+    inspector.className = 'tick-inspector';
+    inspector.innerHTML = '<summary>LAST TICK</summary><pre></pre>';
+    inspector.addEventListener('toggle', updateTickInspectors);
+    return inspector;
+}
+
+// Refill the open inspectors. The grid is left out: it never changes
+// during a level and would bury everything else.
+function updateTickInspectors() {
+    players.forEach((player, i) => {
+        const inspector = gamePanels[i].inspectorEl;
+        if (!inspector.open) return;
+        
+        if (!player.lastInput) {
+            inspector.lastElementChild.textContent = player.state.finished ? 'Finished' : 'No tick yet';
+            return;
+        }
+        const { grid, ...levelData } = player.lastInput.levelData;
+        const { status, output, debug, logs, error } = player.lastResponse;
+        inspector.lastElementChild.textContent = JSON.stringify({
+            tick: player.lastInput.tick,
+            returned: { status, output, error, debugShapes: debug.length, consoleLines: logs.length },
+            given: { ...player.lastInput, levelData: { grid: `[${grid.length}][${grid[0].length}]`, ...levelData } }
+        }, null, 2);
+    });
+}
+
+function updateAIStatus(el, player) {
+    el.textContent = AI_STATUS_LABELS[player.aiStatus];
+    el.dataset.status = player.aiStatus;
+}
+
+function downloadFile(filename, contents, type) {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function stopAIWorkers() {
+    players.forEach(player => player.aiWorker.terminate());
 }
 
 function endGame() {
@@ -583,68 +921,185 @@ function endGame() {
         cancelAnimationFrame(animationFrameId);
         animationFrameId = null;
     }
+    stopAIWorkers();
+    lastReplay = recorder.toJSON();
+    lastStats = telemetry.toJSON();
     
-    // Determine winner
-    const p1 = players[0];
-    const p2 = players[1];
-    
+    // Rank players and name the winner
+    const rules = simulation.rules;
+    const ranking = rankPlayers(simulation.players, rules);
+    const winners = ranking.filter(entry => entry.rank === 1);
     let winnerText = 'TIE!';
-    if (p1.currentLevel > p2.currentLevel) {
-        winnerText = 'PLAYER 1 WINS!';
-    } else if (p2.currentLevel > p1.currentLevel) {
-        winnerText = 'PLAYER 2 WINS!';
-    } else if (p1.finished && p2.finished) {
-        // Both finished same levels, compare time
-        if (p1.totalTime < p2.totalTime) {
-            winnerText = 'PLAYER 1 WINS!';
-        } else if (p2.totalTime < p1.totalTime) {
-            winnerText = 'PLAYER 2 WINS!';
-        }
-    } else if (p1.finished) {
-        winnerText = 'PLAYER 1 WINS!';
-    } else if (p2.finished) {
-        winnerText = 'PLAYER 2 WINS!';
+    if (players.length === 1) {
+        winnerText = ranking[0].state.finished ? 'FINISHED!' : 'DID NOT FINISH';
+    } else if (winners.length === 1) {
+        winnerText = `PLAYER ${ranking[0].state.id} WINS!`;
+    }
+    
+    // A series race only counts for a sole winner
+    series.over = rules.bestOf === 1 || scoreSeriesRace(winners.length === 1 ? winners[0].state : null, rules);
+    if (rules.bestOf > 1 && series.over) {
+        const best = Math.max(...series.wins);
+        const leaders = series.wins.filter(wins => wins === best);
+        winnerText = leaders.length === 1 ? `PLAYER ${series.wins.indexOf(best) + 1} WINS THE SERIES!` : 'SERIES TIED!';
+    } else if (rules.bestOf > 1) {
+        winnerText = winners.length === 1 ? `PLAYER ${ranking[0].state.id} WINS RACE ${series.race + 1}!` : `RACE ${series.race + 1} TIED!`;
     }
     
     // Update results screen
     document.getElementById('winner-text').textContent = winnerText;
-    document.getElementById('p1-levels-completed').textContent = p1.currentLevel;
-    document.getElementById('p2-levels-completed').textContent = p2.currentLevel;
-    document.getElementById('p1-total-time').textContent = p1.totalTime.toFixed(2) + 's';
-    document.getElementById('p2-total-time').textContent = p2.totalTime.toFixed(2) + 's';
-    document.getElementById('p1-total-ticks').textContent = p1.totalTicks;
-    document.getElementById('p2-total-ticks').textContent = p2.totalTicks;
+    document.getElementById('results-seed').textContent = matchSeed;
+    document.getElementById('results-rules').textContent = describeRules(rules);
+    const seriesEl = document.getElementById('results-series');
+    seriesEl.classList.toggle('hidden', rules.bestOf === 1);
+    seriesEl.textContent = `RACE ${series.race + 1} OF ${rules.bestOf}: ` +
+        series.wins.map((wins, i) => `P${i + 1} ${wins}`).join(' - ');
+    playAgainBtn.textContent = series.over ? 'PLAY AGAIN' : 'NEXT RACE';
+    resultsBodyEl.innerHTML = '';
+    ranking.forEach(({ rank, state }) => {
+        const row = document.createElement('tr');
+        row.style.setProperty('--player-color', playerColor(state.id));
+        const ticks = rankingTicks(state, rules);
+        [
+            rank,
+            `PLAYER ${state.id}`,
+            `${state.currentLevel}/${simulation.levels.length}`,
+            state.deaths,
+            (ticks / TICK_RATE).toFixed(2) + 's',
+            ticks
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        resultsBodyEl.appendChild(row);
+    });
+    
+    renderStats(lastStats);
+    
+    // The AI consoles move here from the game screen for review
+    resultsConsolePicker.innerHTML = '';
+    matchConsoles.forEach((aiConsole, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `PLAYER ${i + 1}`;
+        resultsConsolePicker.appendChild(option);
+    });
+    showResultsConsole();
     
     showScreen('results-screen');
 }
 
+// Count a finished race towards the series, `winner` being the sole
+// winner's state or null. Returns whether the series is decided: someone
+// has won most of its races, or they have all been played.
+function scoreSeriesRace(winner, rules) {
+    if (winner) series.wins[winner.id - 1]++;
+    return Math.max(...series.wins) > rules.bestOf / 2 || series.race + 1 >= rules.bestOf;
+}
+
+// Per-level breakdown of MatchTelemetry JSON: a row per level each player
+// reached, then its totals
+function renderStats(stats) {
+    statsBodyEl.innerHTML = '';
+    const addRow = (player, levelLabel, row, className) => {
+        const tr = document.createElement('tr');
+        tr.className = className;
+        tr.style.setProperty('--player-color', playerColor(player.id));
+        [
+            `P${player.id}`,
+            levelLabel,
+            row.ticks,
+            row.time.toFixed(1) + 's',
+            row.deaths,
+            row.jumps,
+            row.errors,
+            row.timeouts,
+            row.averageAITime === null ? '-' : row.averageAITime.toFixed(2)
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            tr.appendChild(cell);
+        });
+        if (row.deathLocations && row.deathLocations.length > 0) {
+            tr.children[4].title = row.deathLocations.map(death => `(${death.x}, ${death.y}) at tick ${death.tick}`).join('\n');
+        }
+        statsBodyEl.appendChild(tr);
+    };
+    
+    stats.players.forEach(player => {
+        player.levels.forEach(level => {
+            addRow(player, level.completed ? level.level : `${level.level} (DNF)`, level, 'stats-level');
+        });
+        addRow(player, 'ALL', player, 'stats-total');
+    });
+}
+
+function showResultsConsole() {
+    const aiConsole = matchConsoles[resultsConsolePicker.value];
+    resultsConsoleView.replaceChildren(aiConsole.element);
+    aiConsole.render();
+}
+
 function resetGame() {
     if (animationFrameId) {
         cancelAnimationFrame(animationFrameId);
         animationFrameId = null;
     }
+    stopAIWorkers();
     gameState = 'setup';
+    simulation = null;
     players = [];
-    showScreen('setup-screen');
+    showScreen(matchConfig ? matchConfig.returnScreen : 'setup-screen');
 }
 
 // Event Listeners
-startBtn.addEventListener('click', startGame);
+startBtn.addEventListener('click', () => startGame());
 restartBtn.addEventListener('click', resetGame);
-playAgainBtn.addEventListener('click', resetGame);
-
-// Tab handling for textareas
-[codeEditor1, codeEditor2].forEach(editor => {
-    editor.addEventListener('keydown', (e) => {
-        if (e.key === 'Tab') {
-            e.preventDefault();
-            const start = editor.selectionStart;
-            const end = editor.selectionEnd;
-            editor.value = editor.value.substring(0, start) + '    ' + editor.value.substring(end);
-            editor.selectionStart = editor.selectionEnd = start + 4;
-        }
-    });
+pauseBtn.addEventListener('click', () => setPaused(!paused));
+stepBtn.addEventListener('click', stepOneTick);
+
+MATCH_SPEEDS.forEach(speed => {
+    const option = document.createElement('option');
+    option.value = speed;
+    option.textContent = speed === Infinity ? 'MAX' : `${speed}x`;
+    option.selected = speed === matchSpeed;
+    matchSpeedEl.appendChild(option);
+});
+
+matchSpeedEl.addEventListener('change', () => {
+    matchSpeed = parseFloat(matchSpeedEl.value);
+});
+resultsConsolePicker.addEventListener('change', showResultsConsole);
+
+document.getElementById('download-stats-btn').addEventListener('click', () => {
+    if (!lastStats) return;
+    downloadFile(`stats-${Date.now()}.json`, JSON.stringify(lastStats, null, 2), 'application/json');
+});
+
+document.getElementById('download-csv-btn').addEventListener('click', () => {
+    if (!lastStats) return;
+    downloadFile(`stats-${Date.now()}.csv`, telemetryToCSV(lastStats), 'text/csv');
 });
 
+// PLAY AGAIN, or NEXT RACE while a series is undecided
+playAgainBtn.addEventListener('click', () => {
+    if (!series.over) {
+        startGame(matchConfig, series.race + 1);
+    } else {
+        resetGame();
+    }
+});
+
+newSeedBtn.addEventListener('click', () => {
+    seedInput.value = randomSeed();
+});
+addPlayerBtn.addEventListener('click', addCodeEditor);
+removePlayerBtn.addEventListener('click', removeCodeEditor);
+
 // Initialize
+for (let i = 0; i < MIN_PLAYERS; i++) {
+    addCodeEditor();
+}
+seedInput.value = randomSeed();
 showScreen('setup-screen');
@@ -0,0 +1,447 @@
+// ============================================
+// AI PLATFORMER BATTLE - Level Editor
+// ============================================
+//
+// Paints levels on the same 100x100 grid parseLevel() produces and reads
+// and writes the levels.js text format through parseLevel() and
+// levelToString(), so anything made here pastes straight into levels.js.
+// Moving platforms and timer settings are @ directives rather than tiles:
+// they are kept as text, edited in the level text box and shown on the
+// canvas at their starting positions.
+
+const EDITOR_TILE_SIZE = 6; // Canvas pixels per grid unit (600x600 canvas)
+const EDITOR_HISTORY_LIMIT = 100;
+
+const EDITOR_TILES = [
+    { tile: 'air', label: 'AIR' },
+    { tile: 'platform', label: 'PLATFORM' },
+    { tile: 'lava', label: 'LAVA' },
+    { tile: 'start', label: 'START' },
+    { tile: 'end', label: 'END' },
+    { tile: 'checkpoint', label: 'CHECKPOINT' },
+    { tile: 'crumble', label: 'CRUMBLE' },
+    { tile: 'timed-platform', label: 'TIMED' },
+    { tile: 'timed-lava', label: 'TIMED LAVA' },
+    { tile: 'ice', label: 'ICE' },
+    { tile: 'conveyor-left', label: 'BELT <' },
+    { tile: 'conveyor-right', label: 'BELT >' },
+    { tile: 'bounce', label: 'BOUNCE' }
+];
+
+const EDITOR_TOOLS = [
+    { tool: 'brush', label: 'BRUSH' },
+    { tool: 'rect', label: 'RECT' },
+    { tool: 'select', label: 'SELECT' }
+];
+
+// Editor State
+let editorLevel = parseLevel(''); // Last level loaded, for its directives, movers and regions
+let editorGrid = editorLevel.grid; // Same [x][y] tile layout as parseLevel()
+let editorTile = 'platform';
+let editorTool = 'brush';
+let editorUndoStack = []; // Level strings, oldest first
+let editorRedoStack = [];
+let editorDrag = null; // { start: {x, y}, current: {x, y} } while the mouse is down
+let editorSelection = null; // { x0, y0, x1, y1 } inclusive grid bounds
+let editorClipboard = null; // { width, height, tiles[dx][dy] }
+let editorPasting = false; // Clipboard follows the mouse until clicked
+let editorHover = null;
+
+// DOM Elements
+const editorScreen = document.getElementById('editor-screen');
+const levelCanvas = document.getElementById('level-canvas');
+const levelCtx = levelCanvas.getContext('2d');
+const levelTextEl = document.getElementById('level-text');
+const editorTilesEl = document.getElementById('editor-tiles');
+const editorToolsEl = document.getElementById('editor-tools');
+const editorAISelect = document.getElementById('editor-ai-select');
+const editorLoadSelect = document.getElementById('editor-load-select');
+const editorFileInput = document.getElementById('editor-file-input');
+const levelIssuesEl = document.getElementById('level-issues');
+const editorValidateBtn = document.getElementById('editor-validate-btn');
+
+// Grid helpers
+function eventToGrid(event) {
+    const rect = levelCanvas.getBoundingClientRect();
+    const scale = levelCanvas.width / rect.width;
+    const x = Math.floor((event.clientX - rect.left) * scale / EDITOR_TILE_SIZE);
+    const y = GRID_SIZE - 1 - Math.floor((event.clientY - rect.top) * scale / EDITOR_TILE_SIZE);
+    return {
+        x: Math.max(0, Math.min(GRID_SIZE - 1, x)),
+        y: Math.max(0, Math.min(GRID_SIZE - 1, y))
+    };
+}
+
+function normalizeRect(a, b) {
+    return {
+        x0: Math.min(a.x, b.x),
+        y0: Math.min(a.y, b.y),
+        x1: Math.max(a.x, b.x),
+        y1: Math.max(a.y, b.y)
+    };
+}
+
+// parseLevel() keeps only the last S and E it sees, so placing a new one
+// clears the old one instead of leaving a silently ignored duplicate
+function setTile(x, y, tile) {
+    if (x < 0 || x >= GRID_SIZE || y < 0 || y >= GRID_SIZE) return;
+    if (tile === 'start' || tile === 'end') {
+        for (let gx = 0; gx < GRID_SIZE; gx++) {
+            for (let gy = 0; gy < GRID_SIZE; gy++) {
+                if (editorGrid[gx][gy] === tile) editorGrid[gx][gy] = 'air';
+            }
+        }
+    }
+    editorGrid[x][y] = tile;
+}
+
+function fillRect(rect, tile) {
+    // A filled rectangle of start/end would collapse to its last tile anyway
+    if (tile === 'start' || tile === 'end') {
+        setTile(rect.x1, rect.y1, tile);
+        return;
+    }
+    for (let x = rect.x0; x <= rect.x1; x++) {
+        for (let y = rect.y0; y <= rect.y1; y++) {
+            editorGrid[x][y] = tile;
+        }
+    }
+}
+
+// The level being edited, in the levels.js text format
+function editorLevelText() {
+    return levelToString(editorGrid, editorLevel.directives);
+}
+
+function setEditorLevel(levelString) {
+    editorLevel = parseLevel(levelString);
+    editorGrid = editorLevel.grid;
+}
+
+// History
+function pushHistory() {
+    editorUndoStack.push(editorLevelText());
+    if (editorUndoStack.length > EDITOR_HISTORY_LIMIT) {
+        editorUndoStack.shift();
+    }
+    editorRedoStack = [];
+}
+
+function undo() {
+    if (editorUndoStack.length === 0) return;
+    editorRedoStack.push(editorLevelText());
+    setEditorLevel(editorUndoStack.pop());
+    renderEditor();
+}
+
+function redo() {
+    if (editorRedoStack.length === 0) return;
+    editorUndoStack.push(editorLevelText());
+    setEditorLevel(editorRedoStack.pop());
+    renderEditor();
+}
+
+function loadEditorLevel(levelString) {
+    pushHistory();
+    setEditorLevel(levelString);
+    editorSelection = null;
+    renderEditor();
+}
+
+// Clipboard
+function copySelection() {
+    if (!editorSelection) return;
+    const { x0, y0, x1, y1 } = editorSelection;
+    const tiles = [];
+    for (let x = x0; x <= x1; x++) {
+        tiles.push(editorGrid[x].slice(y0, y1 + 1));
+    }
+    editorClipboard = { width: x1 - x0 + 1, height: y1 - y0 + 1, tiles };
+}
+
+// The clipboard's top-left corner lands on (x, y)
+function pasteAt(x, y) {
+    pushHistory();
+    const bottom = y - editorClipboard.height + 1;
+    for (let dx = 0; dx < editorClipboard.width; dx++) {
+        for (let dy = 0; dy < editorClipboard.height; dy++) {
+            setTile(x + dx, bottom + dy, editorClipboard.tiles[dx][dy]);
+        }
+    }
+}
+
+// Rendering
+function strokeGridRect(rect, color) {
+    const t = EDITOR_TILE_SIZE;
+    const canvasSize = GRID_SIZE * t;
+    levelCtx.strokeStyle = color;
+    levelCtx.lineWidth = 2;
+    levelCtx.strokeRect(
+        rect.x0 * t,
+        canvasSize - (rect.y1 + 1) * t,
+        (rect.x1 - rect.x0 + 1) * t,
+        (rect.y1 - rect.y0 + 1) * t
+    );
+}
+
+function renderEditor() {
+    drawLevel(levelCtx, editorGrid, EDITOR_TILE_SIZE);
+    drawZones(levelCtx, editorLevel.zones, EDITOR_TILE_SIZE);
+    drawMovers(levelCtx, editorLevel.movers, 0, EDITOR_TILE_SIZE);
+    
+    if (editorDrag && editorTool === 'rect') {
+        strokeGridRect(normalizeRect(editorDrag.start, editorDrag.current), '#fff');
+    }
+    if (editorSelection) {
+        strokeGridRect(editorSelection, COLORS.goal);
+    }
+    if (editorPasting && editorHover) {
+        strokeGridRect({
+            x0: editorHover.x,
+            y0: editorHover.y - editorClipboard.height + 1,
+            x1: editorHover.x + editorClipboard.width - 1,
+            y1: editorHover.y
+        }, '#44ff44');
+    }
+}
+
+function updateToolbar() {
+    editorTilesEl.querySelectorAll('button').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.tile === editorTile);
+    });
+    editorToolsEl.querySelectorAll('button').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.tool === editorTool);
+    });
+}
+
+// Validation
+function showValidation(result) {
+    levelIssuesEl.innerHTML = '';
+    const addLine = (className, text) => {
+        const li = document.createElement('li');
+        li.className = className;
+        li.textContent = text;
+        levelIssuesEl.appendChild(li);
+    };
+    
+    result.issues.forEach(issue => addLine(issue.severity, formatIssue(issue)));
+    if (result.issues.length === 0) {
+        addLine('ok', result.reachability
+            ? `OK: goal reachable in ${result.reachability.ticks} ticks`
+            : 'OK: no structural problems');
+    }
+}
+
+// Text typed or opened by the user gets the structural checks before
+// parseLevel() quietly drops whatever it does not understand
+function importLevelText(text) {
+    showValidation(validateLevel(text, { reachability: false }));
+    loadEditorLevel(text);
+}
+
+// The reachability search can take seconds, so it runs in slices while
+// the button waits. Levels without @physics are checked with the physics
+// picked on the setup screen, as a match would play them.
+async function validateEditorLevel() {
+    editorValidateBtn.disabled = true;
+    levelIssuesEl.innerHTML = '<li>CHECKING...</li>';
+    try {
+        showValidation(await validateLevelInSlices(editorLevelText(), { physics: physicsSelect.value }));
+    } finally {
+        editorValidateBtn.disabled = false;
+    }
+}
+
+// Screen
+// The editor redraws on demand after every change rather than every frame
+function openEditor() {
+    showScreen('editor-screen');
+    fillLoadSelect();
+    fillAISelect();
+    updateToolbar();
+    renderEditor();
+}
+
+// LOAD LEVEL offers the levels of the pack picked on the setup screen
+function fillLoadSelect() {
+    editorLoadSelect.length = 1; // Keep the "LOAD LEVEL..." placeholder
+    selectedPack.levels.forEach((level, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = level.name;
+        editorLoadSelect.appendChild(option);
+    });
+}
+
+// One option per player on the setup screen, keeping the current pick
+function fillAISelect() {
+    const selected = editorAISelect.value;
+    editorAISelect.innerHTML = '';
+    codeEditors.forEach((editor, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `PLAYER ${i + 1} AI`;
+        option.selected = String(i) === selected;
+        editorAISelect.appendChild(option);
+    });
+}
+
+function closeEditor() {
+    showScreen('setup-screen');
+}
+
+function testPlayLevel() {
+    startGame({
+        levels: [editorLevelText()],
+        codes: [codeEditors[editorAISelect.value].value],
+        editors: [codeEditors[editorAISelect.value]],
+        returnScreen: 'editor-screen'
+    });
+}
+
+// Event Listeners
+levelCanvas.addEventListener('mousedown', (e) => {
+    const pos = eventToGrid(e);
+    
+    if (editorPasting) {
+        pasteAt(pos.x, pos.y);
+        editorPasting = false;
+    } else {
+        editorDrag = { start: pos, current: pos };
+        if (editorTool === 'brush') {
+            pushHistory();
+            setTile(pos.x, pos.y, editorTile);
+        } else if (editorTool === 'select') {
+            editorSelection = normalizeRect(pos, pos);
+        }
+    }
+    renderEditor();
+});
+
+levelCanvas.addEventListener('mousemove', (e) => {
+    const pos = eventToGrid(e);
+    editorHover = pos;
+    
+    if (editorDrag) {
+        editorDrag.current = pos;
+        if (editorTool === 'brush') {
+            setTile(pos.x, pos.y, editorTile);
+        } else if (editorTool === 'select') {
+            editorSelection = normalizeRect(editorDrag.start, pos);
+        }
+    }
+    renderEditor();
+});
+
+window.addEventListener('mouseup', () => {
+    if (!editorDrag) return;
+    if (editorTool === 'rect') {
+        pushHistory();
+        fillRect(normalizeRect(editorDrag.start, editorDrag.current), editorTile);
+    }
+    editorDrag = null;
+    renderEditor();
+});
+
+levelCanvas.addEventListener('mouseleave', () => {
+    editorHover = null;
+    renderEditor();
+});
+
+document.addEventListener('keydown', (e) => {
+    if (!editorScreen.classList.contains('active') || e.target === levelTextEl) return;
+    const key = e.key.toLowerCase();
+    
+    if ((e.ctrlKey || e.metaKey) && key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((e.ctrlKey || e.metaKey) && (key === 'y' || (key === 'z' && e.shiftKey))) {
+        e.preventDefault();
+        redo();
+    } else if ((e.ctrlKey || e.metaKey) && key === 'c') {
+        e.preventDefault();
+        copySelection();
+    } else if ((e.ctrlKey || e.metaKey) && key === 'v') {
+        e.preventDefault();
+        editorPasting = editorClipboard !== null;
+    } else if (key === 'escape') {
+        editorPasting = false;
+        editorSelection = null;
+    } else {
+        return;
+    }
+    renderEditor();
+});
+
+EDITOR_TILES.forEach(({ tile, label }) => {
+    const btn = document.createElement('button');
+    btn.className = `pixel-btn small tile-btn tile-${tile}`;
+    btn.dataset.tile = tile;
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+        editorTile = tile;
+        updateToolbar();
+    });
+    editorTilesEl.appendChild(btn);
+});
+
+EDITOR_TOOLS.forEach(({ tool, label }) => {
+    const btn = document.createElement('button');
+    btn.className = 'pixel-btn small';
+    btn.dataset.tool = tool;
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+        editorTool = tool;
+        editorPasting = false;
+        updateToolbar();
+        renderEditor();
+    });
+    editorToolsEl.appendChild(btn);
+});
+
+editorLoadSelect.addEventListener('change', () => {
+    if (editorLoadSelect.value !== '') {
+        loadEditorLevel(selectedPack.levels[editorLoadSelect.value].text);
+        editorLoadSelect.value = '';
+    }
+});
+
+document.getElementById('level-editor-btn').addEventListener('click', openEditor);
+document.getElementById('editor-back-btn').addEventListener('click', closeEditor);
+document.getElementById('editor-test-btn').addEventListener('click', testPlayLevel);
+document.getElementById('editor-undo-btn').addEventListener('click', undo);
+document.getElementById('editor-redo-btn').addEventListener('click', redo);
+document.getElementById('editor-copy-btn').addEventListener('click', copySelection);
+editorValidateBtn.addEventListener('click', validateEditorLevel);
+
+document.getElementById('editor-paste-btn').addEventListener('click', () => {
+    editorPasting = editorClipboard !== null;
+    renderEditor();
+});
+
+document.getElementById('editor-clear-btn').addEventListener('click', () => {
+    loadEditorLevel('');
+});
+
+document.getElementById('editor-export-btn').addEventListener('click', () => {
+    levelTextEl.value = editorLevelText();
+});
+
+document.getElementById('editor-import-btn').addEventListener('click', () => {
+    importLevelText(levelTextEl.value);
+});
+
+document.getElementById('editor-download-btn').addEventListener('click', () => {
+    downloadFile('level.txt', editorLevelText() + '\n', 'text/plain');
+});
+
+document.getElementById('editor-open-btn').addEventListener('click', () => editorFileInput.click());
+
+editorFileInput.addEventListener('change', async () => {
+    const file = editorFileInput.files[0];
+    editorFileInput.value = '';
+    if (!file) return;
+    const text = await file.text();
+    levelTextEl.value = text;
+    importLevelText(text);
+});
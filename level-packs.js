@@ -0,0 +1,77 @@
+// ============================================
+// AI PLATFORMER BATTLE - Level Packs
+// ============================================
+//
+// A level pack is a JSON manifest:
+//
+//   {
+//     "name": "My Pack",
+//     "author": "me",
+//     "levels": [
+//       "<level text>",
+//       { "name": "Lava Run", "level": ["<row>", "<row>", ...], "par": 40 }
+//     ]
+//   }
+//
+// Each level is either its text, or an object whose `level` holds the text
+// (one string, or an array of rows so packs stay readable as JSON). Any
+// other fields on that object are kept as the level's metadata. No DOM
+// here, so it also loads in Node.
+
+// The levels shipped in levels.js, as a pack
+const BUILTIN_PACK = {
+    name: 'Classic',
+    author: 'AI Platformer Battle',
+    levels: LEVELS.map((text, i) => ({ name: `Level ${i + 1}`, text, meta: {} }))
+};
+
+// Parse and check a pack file's contents. Returns
+// { name, author, levels: [{ name, text, meta }] }; throws with a readable
+// message on a malformed manifest or a level with structural errors.
+function parseLevelPack(text) {
+    let manifest;
+    try {
+        manifest = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (e) {
+        throw new Error(`Level pack is not valid JSON: ${e.message}`);
+    }
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        throw new Error('Level pack must be a JSON object');
+    }
+    if (typeof manifest.name !== 'string' || manifest.name.trim() === '') {
+        throw new Error('Level pack needs a "name"');
+    }
+    if (!Array.isArray(manifest.levels) || manifest.levels.length === 0) {
+        throw new Error('Level pack needs a non-empty "levels" array');
+    }
+    
+    const levels = manifest.levels.map((entry, i) => {
+        const { level, name, ...meta } = typeof entry === 'string' ? { level: entry } : (entry || {});
+        const levelText = Array.isArray(level) ? level.join('\n') : level;
+        if (typeof levelText !== 'string') {
+            throw new Error(`Level ${i + 1} has no level text`);
+        }
+        
+        const errors = validateLevel(levelText, { reachability: false }).issues
+            .filter(issue => issue.severity === 'error');
+        if (errors.length > 0) {
+            throw new Error(`Level ${i + 1}: ${formatIssue(errors[0])}`);
+        }
+        
+        return {
+            name: typeof name === 'string' && name.trim() !== '' ? name : `Level ${i + 1}`,
+            text: levelText,
+            meta
+        };
+    });
+    
+    return {
+        name: manifest.name,
+        author: typeof manifest.author === 'string' ? manifest.author : '',
+        levels
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BUILTIN_PACK, parseLevelPack };
+}
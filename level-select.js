@@ -0,0 +1,167 @@
+// ============================================
+// AI PLATFORMER BATTLE - Level Select
+// ============================================
+//
+// Setup-screen picker for which pack, which of its levels and in what
+// order the next match plays. Packs come from level-packs.js; imported
+// ones only live until the page is reloaded.
+
+const THUMBNAIL_TILE_SIZE = 1; // 100x100 canvas per level
+
+// Level Select State
+let levelPacks = [BUILTIN_PACK];
+let selectedPack = BUILTIN_PACK;
+let levelOrder = []; // { level, enabled } in play order
+
+// DOM Elements
+const packSelect = document.getElementById('pack-select');
+const packAuthorEl = document.getElementById('pack-author');
+const levelListEl = document.getElementById('level-list');
+const importPackBtn = document.getElementById('import-pack-btn');
+const importPackInput = document.getElementById('import-pack-input');
+
+// Level strings for the next match, in order
+function selectedLevels() {
+    return levelOrder.filter(entry => entry.enabled).map(entry => entry.level.text);
+}
+
+function selectPack(pack) {
+    selectedPack = pack;
+    levelOrder = pack.levels.map(level => ({ level, enabled: true }));
+    renderPackSelect();
+    renderLevelList();
+}
+
+function addLevelPack(pack) {
+    levelPacks.push(pack);
+    selectPack(pack);
+}
+
+// "PAR 40 · AUTHOR ME" from a level's extra pack fields; values that
+// are not plain text or numbers are left out
+function levelMetaText(meta) {
+    return Object.entries(meta)
+        .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+        .map(([key, value]) => `${key.toUpperCase()} ${value}`)
+        .join(' · ');
+}
+
+function moveLevel(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= levelOrder.length) return;
+    [levelOrder[index], levelOrder[target]] = [levelOrder[target], levelOrder[index]];
+    renderLevelList();
+}
+
+// Rendering
+function renderPackSelect() {
+    packSelect.innerHTML = '';
+    levelPacks.forEach((pack, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `${pack.name} (${pack.levels.length})`;
+        option.selected = pack === selectedPack;
+        packSelect.appendChild(option);
+    });
+    packAuthorEl.textContent = selectedPack.author ? `by ${selectedPack.author}` : '';
+}
+
+function renderLevelList() {
+    levelListEl.innerHTML = '';
+    let playIndex = 0;
+    
+    levelOrder.forEach((entry, i) => {
+        const item = document.createElement('li');
+        item.className = 'level-card';
+        item.classList.toggle('disabled', !entry.enabled);
+        
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = thumbnail.height = GRID_SIZE * THUMBNAIL_TILE_SIZE;
+        const levelData = parseLevel(entry.level.text);
+        drawLevel(thumbnail.getContext('2d'), levelData.grid, THUMBNAIL_TILE_SIZE);
+        drawZones(thumbnail.getContext('2d'), levelData.zones, THUMBNAIL_TILE_SIZE);
+        drawMovers(thumbnail.getContext('2d'), levelData.movers, 0, THUMBNAIL_TILE_SIZE);
+        
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = entry.enabled;
+        checkbox.addEventListener('change', () => {
+            entry.enabled = checkbox.checked;
+            renderLevelList();
+        });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(
+            entry.enabled ? `${++playIndex}. ${entry.level.name}` : entry.level.name));
+            
+        const meta = document.createElement('div');
+        meta.className = 'level-card-meta';
+        meta.textContent = levelMetaText(entry.level.meta);
+        meta.title = meta.textContent;
+        
+        const moves = document.createElement('div');
+        moves.className = 'level-card-moves';
+        [['<', -1, 'Play earlier'], ['>', 1, 'Play later']].forEach(([text, delta, title]) => {
+            const btn = document.createElement('button');
+            btn.className = 'pixel-btn small';
+            btn.textContent = text;
+            btn.title = title;
+            btn.disabled = i + delta < 0 || i + delta >= levelOrder.length;
+            btn.addEventListener('click', () => moveLevel(i, delta));
+            moves.appendChild(btn);
+        });
+        
+        item.appendChild(thumbnail);
+        item.appendChild(label);
+        if (meta.textContent) item.appendChild(meta);
+        item.appendChild(moves);
+        levelListEl.appendChild(item);
+    });
+}
+
+async function importPackFile(file) {
+    try {
+        addLevelPack(parseLevelPack(await file.text()));
+    } catch (e) {
+        console.error('Could not load level pack:', e);
+        alert(`Could not load level pack: ${e.message}`);
+    }
+}
+
+// Event Listeners
+packSelect.addEventListener('change', () => {
+    selectPack(levelPacks[packSelect.value]);
+});
+
+importPackBtn.addEventListener('click', () => importPackInput.click());
+
+importPackInput.addEventListener('change', () => {
+    const file = importPackInput.files[0];
+    importPackInput.value = '';
+    if (file) importPackFile(file);
+});
+
+// Packs can also be dropped anywhere on the setup screen
+document.addEventListener('dragover', (e) => {
+    if (setupScreen.classList.contains('active') && e.dataTransfer.types.includes('Files')) {
+        e.preventDefault();
+        setupScreen.classList.add('drop-target');
+    }
+});
+
+document.addEventListener('dragleave', (e) => {
+    if (e.relatedTarget === null) {
+        setupScreen.classList.remove('drop-target');
+    }
+});
+
+document.addEventListener('drop', (e) => {
+    setupScreen.classList.remove('drop-target');
+    if (!setupScreen.classList.contains('active')) return;
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (file) importPackFile(file);
+});
+
+// Initialize
+selectPack(BUILTIN_PACK);
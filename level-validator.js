@@ -0,0 +1,392 @@
+// ============================================
+// AI PLATFORMER BATTLE - Level Validator
+// ============================================
+//
+// parseLevel() is deliberately forgiving: it ignores unknown characters,
+// truncates long rows and lets the last S or E win. validateLevel() reports
+// all of that (with 1-based row/column in the level text), checks that the
+// player can spawn, and searches for a way from start to goal using the
+// real simulation physics. No DOM here, so it also loads in Node.
+
+const REACHABILITY_STATE_LIMIT = 150000; // States explored before giving up
+const VALIDATION_MAX_ISSUES = 20; // Per kind, so a garbage file stays readable
+const REACHABILITY_GREED = 3; // Weight of distance-to-goal over ticks taken in the search
+const REACHABILITY_YIELD_EVERY = 50; // States expanded between pauses of pathSearch()
+const REACHABILITY_SLICE_MS = 15; // Main-thread time per slice of findPathToGoalInSlices()
+
+// Inputs the search tries each tick. Jumps only matter on the ground or in
+// water, and a half, a three-quarter and a full jump cover the heights
+// levels are built around (the three-quarter one clears a few tiles under
+// low lava).
+const AIR_ACTIONS = [
+    { forceX: -1, forceY: 0 },
+    { forceX: 0, forceY: 0 },
+    { forceX: 1, forceY: 0 }
+];
+const GROUND_ACTIONS = AIR_ACTIONS.concat([
+    { forceX: -1, forceY: 0.5 },
+    { forceX: 0, forceY: 0.5 },
+    { forceX: 1, forceY: 0.5 },
+    { forceX: -1, forceY: 0.75 },
+    { forceX: 0, forceY: 0.75 },
+    { forceX: 1, forceY: 0.75 },
+    { forceX: -1, forceY: 1 },
+    { forceX: 0, forceY: 1 },
+    { forceX: 1, forceY: 1 }
+]);
+
+// Validate a level string. Returns { valid, issues, reachability } where
+// each issue is { severity: 'error' | 'warning', row, column, message }
+// (row/column are null for whole-level problems) and reachability is the
+// result of findPathToGoal(), or null when errors made it pointless.
+function validateLevel(levelString, options = {}) {
+    const issues = [];
+    const addIssue = (severity, row, column, message) => {
+        issues.push({ severity, row, column, message });
+    };
+    
+    // Split exactly like parseLevel() so row numbers line up with the text
+    const lines = levelString.trim().split('\n').map(line => line.replace(/\r$/, ''));
+    const rowLines = []; // Indices into `lines` of grid rows, i.e. not @ directives
+    const repeated = { timer: [], crumble: [], physics: [] };
+    
+    lines.forEach((line, i) => {
+        if (!line.trim().startsWith('@')) {
+            rowLines.push(i);
+            return;
+        }
+        try {
+            const directive = parseDirective(line);
+            if (directive.type === 'move') {
+                checkMover(directive, i + 1, addIssue);
+            } else if (directive.type === 'wind' || directive.type === 'gravity' || directive.type === 'water') {
+                checkZone(directive, i + 1, addIssue);
+            } else {
+                repeated[directive.type].push(i + 1);
+            }
+        } catch (e) {
+            addIssue('error', i + 1, null, e.message);
+        }
+    });
+    
+    Object.entries(repeated).forEach(([type, rows]) => {
+        rows.slice(0, -1).forEach(row => {
+            addIssue('warning', row, null,
+                `Extra @${type}; only the last one (row ${rows[rows.length - 1]}) is used`);
+        });
+    });
+    
+    const firstUsedRow = Math.max(0, rowLines.length - GRID_SIZE);
+    const textRows = rowLines.slice(firstUsedRow).map(i => i + 1); // 1-based text row of each grid row, top first
+    
+    if (rowLines.length > GRID_SIZE) {
+        addIssue('error', rowLines[0] + 1, null,
+            `Level has ${rowLines.length} rows; only the last ${GRID_SIZE} are used`);
+    }
+    
+    const starts = [];
+    const ends = [];
+    let longRows = 0;
+    let unknownChars = 0;
+    
+    rowLines.forEach((lineIndex, i) => {
+        const line = lines[lineIndex];
+        const row = lineIndex + 1;
+        if (line.length > GRID_SIZE && longRows++ < VALIDATION_MAX_ISSUES) {
+            addIssue('error', row, GRID_SIZE + 1,
+                `Row is ${line.length} characters long; only the first ${GRID_SIZE} are used`);
+        }
+        
+        for (let col = 0; col < line.length; col++) {
+            const char = line[col];
+            if (!(char in TILE_TYPES)) {
+                if (unknownChars++ < VALIDATION_MAX_ISSUES) {
+                    addIssue('error', row, col + 1, `Unknown character '${char}'`);
+                }
+                continue;
+            }
+            if (i < firstUsedRow || col >= GRID_SIZE) continue;
+            if (char === 'S') starts.push({ row, column: col + 1 });
+            if (char === 'E') ends.push({ row, column: col + 1 });
+        }
+    });
+    
+    if (longRows > VALIDATION_MAX_ISSUES) {
+        addIssue('error', null, null, `...and ${longRows - VALIDATION_MAX_ISSUES} more rows that are too long`);
+    }
+    if (unknownChars > VALIDATION_MAX_ISSUES) {
+        addIssue('error', null, null, `...and ${unknownChars - VALIDATION_MAX_ISSUES} more unknown characters`);
+    }
+    
+    [[starts, 'S', 'start position'], [ends, 'E', 'goal (end position)']].forEach(([found, char, name]) => {
+        if (found.length === 0) {
+            addIssue('error', null, null, `No ${name} (${char})`);
+        }
+        // parseLevel() keeps the last one it reads, so flag all the others
+        found.slice(0, -1).forEach(pos => {
+            const kept = found[found.length - 1];
+            addIssue('error', pos.row, pos.column,
+                `Extra ${char}; only the last one (row ${kept.row}, column ${kept.column}) is used`);
+        });
+    });
+    
+    const levelData = parseLevel(levelString);
+    if (levelData.startPos) {
+        checkSpawn(levelData, null, textRows, addIssue);
+    }
+    levelData.checkpoints.forEach(checkpoint => {
+        checkSpawn(levelData, checkpoint, textRows, addIssue);
+    });
+    
+    let reachability = null;
+    const hasErrors = issues.some(issue => issue.severity === 'error');
+    if (!hasErrors && options.reachability !== false) {
+        reachability = findPathToGoal(levelData, options.stateLimit, options.physics);
+        addReachabilityIssue(reachability, issues);
+    }
+    
+    return {
+        valid: !issues.some(issue => issue.severity === 'error'),
+        issues,
+        reachability
+    };
+}
+
+// validateLevel() for the page: the same result, but the reachability
+// search runs in slices between which the browser gets to draw and
+// handle input, since it can take seconds. Resolves with the result.
+async function validateLevelInSlices(levelString, options = {}) {
+    const result = validateLevel(levelString, { ...options, reachability: false });
+    if (!result.valid || options.reachability === false) return result;
+    
+    result.reachability = await findPathToGoalInSlices(parseLevel(levelString), options.stateLimit, options.physics);
+    addReachabilityIssue(result.reachability, result.issues);
+    return result;
+}
+
+// A warning, not an error, when no path was found: the search is a
+// heuristic (see findPathToGoal()) and can miss a route a real AI would find
+function addReachabilityIssue(reachability, issues) {
+    if (reachability.reachable === false) {
+        issues.push({
+            severity: 'warning', row: null, column: null,
+            message: 'No path to the goal found; the search only tries a few inputs and rounds positions, so check by playing'
+        });
+    } else if (reachability.reachable === null) {
+        issues.push({
+            severity: 'warning', row: null, column: null,
+            message: `Gave up looking for a path after ${reachability.explored} states; the goal may be unreachable`
+        });
+    }
+}
+
+// Grid coordinates -> 1-based row/column in the level text. Rows below
+// the end of a short level have no line in the text (row is null).
+function gridToText(x, y, textRows) {
+    const row = textRows[GRID_SIZE - 1 - y];
+    return { row: row === undefined ? null : row, column: x + 1 };
+}
+
+// A moving platform must stay inside the level along its whole path
+function checkMover(mover, row, addIssue) {
+    const outside = mover.path.find(point =>
+        point.x < 0 || point.y < 0 || point.x + mover.width > GRID_SIZE || point.y + mover.height > GRID_SIZE);
+    if (outside) {
+        addIssue('error', row, null,
+            `@move: the ${mover.width}x${mover.height} platform leaves the level at ${outside.x},${outside.y}`);
+    }
+}
+
+// A region reaching past the edge of the level is harmless but likely a typo
+function checkZone(zone, row, addIssue) {
+    if (zone.x < 0 || zone.y < 0 || zone.x + zone.width > GRID_SIZE || zone.y + zone.height > GRID_SIZE) {
+        addIssue('warning', row, null,
+            `@${zone.type}: the ${zone.width}x${zone.height} region at ${zone.x},${zone.y} reaches outside the level`);
+    }
+}
+
+// The player spawns one tile above S, or above the last checkpoint after
+// touching lava; make sure its 5x5 body fits there
+function checkSpawn(levelData, checkpoint, textRows, addIssue) {
+    const state = createPlayerState(0);
+    state.levelData = levelData;
+    state.checkpoint = checkpoint;
+    placeAtStart(state);
+    const { x, y } = state.position;
+    const spawn = checkpoint || levelData.startPos;
+    const spawnPos = gridToText(spawn.x, spawn.y, textRows);
+    const name = checkpoint ? 'checkpoint' : 'start';
+    
+    if (x + PLAYER_SIZE > GRID_SIZE || y + PLAYER_SIZE > GRID_SIZE) {
+        addIssue('error', spawnPos.row, spawnPos.column,
+            `This ${name} is too close to the edge; the ${PLAYER_SIZE}x${PLAYER_SIZE} player does not fit`);
+        return;
+    }
+    
+    for (let tx = x; tx < x + PLAYER_SIZE; tx++) {
+        for (let ty = y; ty < y + PLAYER_SIZE; ty++) {
+            if (SOLID_TILES.has(effectiveTile(state, tx, ty))) {
+                const pos = gridToText(tx, ty, textRows);
+                addIssue('error', pos.row, pos.column,
+                    `Player would spawn inside this platform (from the ${name} at row ${spawnPos.row}, column ${spawnPos.column})`);
+                return;
+            }
+        }
+    }
+    
+    if (touchesTile(state, 'lava')) {
+        addIssue('error', spawnPos.row, spawnPos.column, `Player would spawn touching lava at this ${name}`);
+    }
+}
+
+function cloneState(state) {
+    return {
+        ...state,
+        position: { ...state.position },
+        velocity: { ...state.velocity },
+        crumbling: { ...state.crumbling }
+    };
+}
+
+// Quantized state for the visited set. Coarse enough to keep the search
+// small, fine enough that merged states behave almost identically. On
+// levels with moving or timed tiles the same place at a different time is
+// a different state, so the tick is part of the key. Crumbling tiles are
+// not, which can make the search optimistic about them.
+function reachabilityKey(state, timed) {
+    return [
+        timed ? Math.floor(state.levelSteps / SUBSTEPS) : 0,
+        Math.round(state.position.x * 2),
+        Math.round(state.position.y * 2),
+        Math.round(state.velocity.x / 4),
+        Math.round(state.velocity.y / 4),
+        state.isGrounded ? 1 : 0
+    ].join(',');
+}
+
+// Estimated ticks to the goal: straight-line distance at top speed
+function ticksToGoal(state) {
+    const { endPos } = state.levelData;
+    const dx = endPos.x + 0.5 - (state.position.x + PLAYER_SIZE / 2);
+    const dy = endPos.y + 0.5 - (state.position.y + PLAYER_SIZE / 2);
+    return Math.hypot(dx, dy) / (state.physics.maxVelocityX / TICK_RATE);
+}
+
+// Minimal binary heap of { priority, ... } entries, lowest priority first
+function heapPush(heap, entry) {
+    heap.push(entry);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].priority <= heap[i].priority) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = i * 2 + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left].priority < heap[smallest].priority) smallest = left;
+            if (right < heap.length && heap[right].priority < heap[smallest].priority) smallest = right;
+            if (smallest === i) break;
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+    return top;
+}
+
+// Best-first search over ticks using stepTick(), trying AIR_ACTIONS or
+// GROUND_ACTIONS each tick and expanding the states closest to the goal
+// first. Returns { reachable, ticks, explored }: reachable is true (ticks
+// = length of the path found, not necessarily the shortest), false (every
+// state the search could reach was explored) or null (gave up after
+// stateLimit states). States are merged on rounded position and velocity
+// (see reachabilityKey()) and only AIR_ACTIONS / GROUND_ACTIONS are tried,
+// so true is certain but false only means no path was found.
+// `physics` is the profile the match would play a level without @physics at.
+function findPathToGoal(levelData, stateLimit = REACHABILITY_STATE_LIMIT, physics = 'default') {
+    const search = pathSearch(levelData, stateLimit, physics);
+    let step = search.next();
+    while (!step.done) step = search.next();
+    return step.value;
+}
+
+// findPathToGoal() without holding the thread: runs the search for
+// REACHABILITY_SLICE_MS at a time and waits a turn of the event loop in
+// between. Resolves with the same result.
+async function findPathToGoalInSlices(levelData, stateLimit = REACHABILITY_STATE_LIMIT, physics = 'default') {
+    const search = pathSearch(levelData, stateLimit, physics);
+    while (true) {
+        const sliceEnd = performance.now() + REACHABILITY_SLICE_MS;
+        let step = search.next();
+        while (!step.done && performance.now() < sliceEnd) step = search.next();
+        if (step.done) return step.value;
+        await new Promise(resolve => setTimeout(resolve));
+    }
+}
+
+// The search behind findPathToGoal(), as a generator that yields (nothing)
+// every REACHABILITY_YIELD_EVERY states expanded and returns the result
+function* pathSearch(levelData, stateLimit, physics) {
+    const start = createPlayerState(0);
+    start.levelData = levelData;
+    start.physics = PHYSICS_PROFILES[levelData.physics || physics];
+    placeAtStart(start);
+    
+    const timed = levelData.movers.length > 0 ||
+        levelData.grid.some(column => column.some(tile => tile === 'timed-platform' || tile === 'timed-lava'));
+    const heap = [{ priority: 0, state: start, ticks: 0 }];
+    const visited = new Set([reachabilityKey(start, timed)]);
+    
+    let expanded = 0;
+    while (heap.length > 0) {
+        if (++expanded % REACHABILITY_YIELD_EVERY === 0) yield;
+        const { state, ticks } = heapPop(heap);
+        const actions = state.isGrounded || state.zone.water ? GROUND_ACTIONS : AIR_ACTIONS;
+        
+        for (const action of actions) {
+            const next = cloneState(state);
+            const event = stepTick(next, action);
+            if (event === 'goal') {
+                return { reachable: true, ticks: ticks + 1, explored: visited.size };
+            }
+            if (event === 'lava') continue;
+            
+            const key = reachabilityKey(next, timed);
+            if (visited.has(key)) continue;
+            if (visited.size >= stateLimit) {
+                return { reachable: null, ticks: null, explored: visited.size };
+            }
+            visited.add(key);
+            heapPush(heap, {
+                priority: ticks + 1 + REACHABILITY_GREED * ticksToGoal(next),
+                state: next,
+                ticks: ticks + 1
+            });
+        }
+    }
+    return { reachable: false, ticks: null, explored: visited.size };
+}
+
+function formatIssue(issue) {
+    let where = '';
+    if (issue.row !== null && issue.column !== null) {
+        where = `Row ${issue.row}, column ${issue.column}: `;
+    } else if (issue.row !== null) {
+        where = `Row ${issue.row}: `;
+    }
+    return `${issue.severity === 'error' ? 'ERROR' : 'WARNING'} ${where}${issue.message}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateLevel, validateLevelInSlices, findPathToGoal, findPathToGoalInSlices, formatIssue };
+}
@@ -6,22 +6,251 @@
 //   ~ = lava
 //   S = start position
 //   E = end position
+//   C = checkpoint (lava respawns the player here once touched)
+//   % = crumbling platform (gives way shortly after being stood on, then comes back)
+//   ! = timed platform, ^ = timed lava (switch on and off together on the level's timer)
+//   = = ice (slippery platform)
+//   < and > = conveyor belts (carry a standing player left / right)
+//   * = bounce pad (launches the player on landing)
 //
 // The grid is stored as rows from top (y=99) to bottom (y=0)
 // This means the first row in the string is the top of the level
 //
-// Physics reference:
+// Lines starting with @ are directives rather than rows. Coordinates are
+// game coordinates (x from the left, y from the bottom), times are ticks:
+//   @move x,y w,h x,y [x,y ...] [speed=5]
+//       A w x h moving platform starting with its bottom-left corner at
+//       the first x,y, travelling back and forth through the other points
+//       at `speed` grid units per second
+//   @timer on=20 off=20 [offset=0]
+//       How long the timed tiles stay on, then off; `offset` shifts the cycle
+//   @crumble delay=5 respawn=30
+//       How long a crumbling platform holds after being stood on, and how
+//       long it stays gone
+//   @wind x,y w,h fx,fy
+//       A w x h region pushing the player with fx,fy units/sec² (either
+//       can be negative)
+//   @gravity x,y w,h scale=0.5
+//       A region where gravity is multiplied by `scale`; 0 floats, a
+//       negative scale pulls the player up onto the ceiling
+//   @water x,y w,h [drag=3] [swim=15]
+//       A region of water: gravity is weaker, `drag` slows the player down
+//       and jumping swims upward at `swim` units/sec, grounded or not
+//   @physics floaty
+//       The physics profile for this level (default, floaty, heavy or
+//       slippery), whatever the match is played with
+//
+// A region affects the player while the centre of their body is inside
+// it; where regions overlap, winds add up and gravity scales multiply.
+//
+// Physics reference (the default profile; see PHYSICS_PROFILES in
+// simulation.js for the others, and AIs get the values in effect as
+// rules.physics):
 // - Character size: 5x5 tiles
 // - Max horizontal velocity: 40 units/sec
 // - Jump force: 35 units
 // - Gravity: 50 units/sec²
 // - A full jump can cover ~15-20 tiles horizontally and ~12 tiles vertically
 
+// Level file character -> tile type
+const TILE_TYPES = {
+    '.': 'air',
+    '#': 'platform',
+    '~': 'lava',
+    'S': 'start',
+    'E': 'end',
+    'C': 'checkpoint',
+    '%': 'crumble',
+    '!': 'timed-platform',
+    '^': 'timed-lava',
+    '=': 'ice',
+    '<': 'conveyor-left',
+    '>': 'conveyor-right',
+    '*': 'bounce'
+};
+
+// Tile type -> level file character
+const TILE_CHARS = Object.fromEntries(Object.entries(TILE_TYPES).map(([char, tile]) => [tile, char]));
+
+const DEFAULT_MOVER_SPEED = 5;
+const DEFAULT_TIMER = { on: 20, off: 20, offset: 0 };
+const DEFAULT_CRUMBLE = { delay: 5, respawn: 30 };
+const DEFAULT_WATER = { drag: 3, swim: 15 };
+
+// What parseDirective() throws for a malformed line, as opposed to a bug
+class DirectiveError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DirectiveError';
+    }
+}
+
+// The physics profiles live in simulation.js, which the page loads as a
+// script of its own; in Node it has to be required
+function physicsProfileNames() {
+    if (typeof PHYSICS_PROFILE_NAMES !== 'undefined') return PHYSICS_PROFILE_NAMES;
+    return require('./simulation.js').PHYSICS_PROFILE_NAMES;
+}
+
+// Parse one @ line. Returns { type: 'move', x, y, width, height, path, speed },
+// { type: 'timer', on, off, offset }, { type: 'crumble', delay, respawn } or
+// a region: { type: 'wind' | 'gravity' | 'water', x, y, width, height, ... }
+// with forceX and forceY, scale, or drag and swim, or { type: 'physics',
+// profile }. Throws with a readable message if the line is malformed.
+function parseDirective(line) {
+    const [name, ...args] = line.trim().slice(1).trim().split(/\s+/);
+    
+    // The one directive taking a word rather than numbers
+    if (name === 'physics') {
+        const profiles = physicsProfileNames();
+        if (args.length !== 1 || !profiles.includes(args[0])) {
+            throw new DirectiveError(`@physics needs one profile name: ${profiles.join(', ')}`);
+        }
+        return { type: 'physics', profile: args[0] };
+    }
+    const points = [];
+    const options = {};
+    
+    args.forEach(arg => {
+        const option = arg.match(/^(\w+)=(.*)$/);
+        if (option) {
+            const value = Number(option[2]);
+            if (option[2] === '' || !Number.isFinite(value)) {
+                throw new DirectiveError(`@${name}: ${option[1]} must be a number, got '${option[2]}'`);
+            }
+            options[option[1]] = value;
+            return;
+        }
+        const point = arg.split(',').map(Number);
+        if (point.length !== 2 || !point.every(Number.isFinite)) {
+            throw new DirectiveError(`@${name}: expected x,y or name=value, got '${arg}'`);
+        }
+        points.push({ x: point[0], y: point[1] });
+    });
+    
+    const checkOptions = (allowed, integer, signed = []) => {
+        Object.entries(options).forEach(([key, value]) => {
+            if (!allowed.includes(key)) {
+                throw new DirectiveError(`@${name}: unknown option '${key}' (expected ${allowed.join(', ') || 'none'})`);
+            }
+            if (value < 0 && !signed.includes(key)) {
+                throw new DirectiveError(`@${name}: ${key} cannot be negative`);
+            }
+            if (integer && !Number.isInteger(value)) {
+                throw new DirectiveError(`@${name}: ${key} must be a whole number of ticks`);
+            }
+        });
+    };
+    
+    // Regions start with their bottom-left corner and size
+    const region = (pointCount, usage) => {
+        if (points.length !== pointCount) {
+            throw new DirectiveError(`@${name} needs ${usage}`);
+        }
+        const [corner, size] = points;
+        if (size.x <= 0 || size.y <= 0) {
+            throw new DirectiveError(`@${name}: width and height must be more than 0`);
+        }
+        return { type: name, x: corner.x, y: corner.y, width: size.x, height: size.y };
+    };
+    
+    switch (name) {
+        case 'move': {
+            checkOptions(['speed'], false);
+            if (points.length < 3) {
+                throw new DirectiveError('@move needs a position, a size and at least one point to move to');
+            }
+            const [start, size, ...waypoints] = points;
+            if (size.x <= 0 || size.y <= 0) {
+                throw new DirectiveError('@move: width and height must be more than 0');
+            }
+            const speed = options.speed !== undefined ? options.speed : DEFAULT_MOVER_SPEED;
+            if (speed <= 0) {
+                throw new DirectiveError('@move: speed must be more than 0');
+            }
+            return { type: 'move', x: start.x, y: start.y, width: size.x, height: size.y, path: [start, ...waypoints], speed };
+        }
+        case 'timer': {
+            checkOptions(['on', 'off', 'offset'], true);
+            const timer = { type: 'timer', ...DEFAULT_TIMER, ...options };
+            if (timer.on === 0) {
+                throw new DirectiveError('@timer: on must be at least 1 tick');
+            }
+            return timer;
+        }
+        case 'crumble': {
+            checkOptions(['delay', 'respawn'], true);
+            return { type: 'crumble', ...DEFAULT_CRUMBLE, ...options };
+        }
+        case 'wind': {
+            checkOptions([], false);
+            const zone = region(3, 'a position, a size and a force fx,fy');
+            return { ...zone, forceX: points[2].x, forceY: points[2].y };
+        }
+        case 'gravity': {
+            checkOptions(['scale'], false, ['scale']);
+            if (options.scale === undefined) {
+                throw new DirectiveError('@gravity needs scale=');
+            }
+            return { ...region(2, 'a position and a size'), scale: options.scale };
+        }
+        case 'water': {
+            checkOptions(['drag', 'swim'], false);
+            return { ...region(2, 'a position and a size'), ...DEFAULT_WATER, ...options };
+        }
+        default:
+            throw new DirectiveError(`Unknown directive '@${name}' (expected @move, @timer, @crumble, @wind, @gravity, @water or @physics)`);
+    }
+}
+
+// Moving platform from a parsed @move: precomputes the leg lengths so
+// moverPosition() only has to walk them. Math.sqrt rather than Math.hypot
+// because only the former is guaranteed to round the same everywhere.
+function createMover({ x, y, width, height, path, speed }) {
+    const legs = [];
+    for (let i = 1; i < path.length; i++) {
+        const dx = path[i].x - path[i - 1].x;
+        const dy = path[i].y - path[i - 1].y;
+        legs.push(Math.sqrt(dx * dx + dy * dy));
+    }
+    return { x, y, width, height, path, speed, legs, length: legs.reduce((a, b) => a + b, 0) };
+}
+
 function parseLevel(levelString) {
-    let lines = levelString.trim().split('\n');
+    const directives = [];
+    const movers = [];
+    const zones = [];
+    let timer = { ...DEFAULT_TIMER };
+    let crumble = { ...DEFAULT_CRUMBLE };
+    let physics = null; // Profile name from @physics; null plays the match's
+    
+    // Directives can sit anywhere; everything else is a grid row. Malformed
+    // directives are skipped here and reported by validateLevel().
+    let lines = levelString.trim().split('\n').filter(line => {
+        if (!line.trim().startsWith('@')) return true;
+        directives.push(line.trim());
+        return false;
+    });
+    directives.forEach(line => {
+        let directive;
+        try {
+            directive = parseDirective(line);
+        } catch (e) {
+            if (!(e instanceof DirectiveError)) throw e;
+            return;
+        }
+        const { type, ...settings } = directive;
+        if (type === 'move') movers.push(createMover(settings));
+        if (type === 'timer') timer = settings;
+        if (type === 'crumble') crumble = settings;
+        if (type === 'physics') physics = settings.profile;
+        if (type === 'wind' || type === 'gravity' || type === 'water') zones.push(directive);
+    });
+    
     const grid = [];
     let startPos = null;
     let endPos = null;
+    const checkpoints = [];
     
     // If level has more than 100 rows, take the last 100 (bottom of level)
     if (lines.length > 100) {
@@ -42,29 +271,33 @@ function parseLevel(levelString) {
         const y = 99 - row; // Convert to game coordinates (0 at bottom)
         
         for (let x = 0; x < line.length && x < 100; x++) {
-            const char = line[x];
-            switch (char) {
-                case '#':
-                    grid[x][y] = 'platform';
-                    break;
-                case '~':
-                    grid[x][y] = 'lava';
-                    break;
-                case 'S':
-                    grid[x][y] = 'start';
-                    startPos = { x: x, y: y };
-                    break;
-                case 'E':
-                    grid[x][y] = 'end';
-                    endPos = { x: x, y: y };
-                    break;
-                default:
-                    grid[x][y] = 'air';
+            const tile = TILE_TYPES[line[x]] || 'air';
+            grid[x][y] = tile;
+            if (tile === 'start') {
+                startPos = { x: x, y: y };
+            } else if (tile === 'end') {
+                endPos = { x: x, y: y };
+            } else if (tile === 'checkpoint') {
+                checkpoints.push({ x: x, y: y });
             }
         }
     }
     
-    return { grid, startPos, endPos };
+    return { grid, startPos, endPos, checkpoints, movers, zones, timer, crumble, physics, directives };
+}
+
+// Inverse of parseLevel(): a full 100x100 level string for a grid
+// `directives` are the level's @ lines, written after the grid
+function levelToString(grid, directives = []) {
+    const lines = [];
+    for (let y = 99; y >= 0; y--) {
+        let line = '';
+        for (let x = 0; x < 100; x++) {
+            line += TILE_CHARS[grid[x][y]] || '.';
+        }
+        lines.push(line);
+    }
+    return lines.concat(directives).join('\n');
 }
 
 // Level 1: Simple introduction - just run right
@@ -446,7 +679,7 @@ const LEVEL_4 = `
 ....................................................................................................
 ....................................................................................................
 ....................................................................................E...............
-...................................................................................########..........
+...................................................................................########.........
 ....................................................................................................
 ....................................................................................................
 ....................................................................................................
@@ -587,3 +820,16 @@ const LEVELS = [
 
 // Parse all levels
 const PARSED_LEVELS = LEVELS.map(parseLevel);
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TILE_TYPES,
+        TILE_CHARS,
+        DirectiveError,
+        parseDirective,
+        parseLevel,
+        levelToString,
+        LEVELS,
+        PARSED_LEVELS
+    };
+}
@@ -0,0 +1,146 @@
+// ============================================
+// AI PLATFORMER BATTLE - AI Library Screen
+// ============================================
+//
+// Browse the AIs saved with SAVE on the setup screen: look through and
+// restore old versions, load one into a player's editor, duplicate,
+// delete, and move AIs in and out as .js files.
+
+// Library Screen State
+let librarySelected = null; // Name of the AI being shown
+
+// DOM Elements
+const libraryListEl = document.getElementById('library-list');
+const libraryNameEl = document.getElementById('library-ai-name');
+const libraryDetailEl = document.getElementById('library-detail');
+const libraryVersionSelect = document.getElementById('library-version-select');
+const libraryCodeEl = document.getElementById('library-code');
+const libraryPlayerSelect = document.getElementById('library-player-select');
+const libraryFilesInput = document.getElementById('library-files-input');
+
+function openLibrary() {
+    if (!aiLibrary.has(librarySelected)) {
+        librarySelected = aiLibrary.names()[0] || null;
+    }
+    renderLibrary();
+    showScreen('library-screen');
+}
+
+function closeLibrary() {
+    showScreen('setup-screen');
+}
+
+function selectLibraryAI(name) {
+    librarySelected = name;
+    renderLibrary();
+}
+
+// The version picked in the history list
+function selectedVersion() {
+    return aiLibrary.versions(librarySelected)[libraryVersionSelect.value];
+}
+
+// Run a library change; storage can refuse it (quota, private browsing)
+function changeLibrary(change) {
+    try {
+        change();
+    } catch (e) {
+        alert(`Could not update the AI library: ${e.message}`);
+    }
+    renderLibrary();
+    fillAIPickers();
+}
+
+// Rendering
+function renderLibrary() {
+    libraryListEl.innerHTML = '';
+    aiLibrary.names().forEach(name => {
+        const item = document.createElement('li');
+        const btn = document.createElement('button');
+        btn.className = 'pixel-btn small';
+        btn.classList.toggle('selected', name === librarySelected);
+        btn.textContent = name;
+        btn.title = `${aiLibrary.versions(name).length} version(s)`;
+        btn.addEventListener('click', () => selectLibraryAI(name));
+        item.appendChild(btn);
+        libraryListEl.appendChild(item);
+    });
+    
+    libraryDetailEl.classList.toggle('hidden', librarySelected === null);
+    if (librarySelected === null) return;
+    
+    // Newest version first
+    libraryNameEl.textContent = librarySelected;
+    libraryVersionSelect.innerHTML = '';
+    const versions = aiLibrary.versions(librarySelected);
+    for (let i = versions.length - 1; i >= 0; i--) {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `V${i + 1} - ${new Date(versions[i].savedAt).toLocaleString()}`;
+        libraryVersionSelect.appendChild(option);
+    }
+    libraryCodeEl.value = selectedVersion().code;
+    
+    libraryPlayerSelect.innerHTML = '';
+    codeEditors.forEach((editor, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `PLAYER ${i + 1}`;
+        libraryPlayerSelect.appendChild(option);
+    });
+}
+
+async function importAIFiles(files) {
+    const texts = await Promise.all(files.map(file => file.text()));
+    changeLibrary(() => {
+        // A file named like a saved AI becomes its newest version
+        files.forEach((file, i) => {
+            librarySelected = aiLibrary.save(file.name.replace(/\.[^.]*$/, ''), texts[i]);
+        });
+    });
+}
+
+// Event Listeners
+document.getElementById('library-btn').addEventListener('click', openLibrary);
+document.getElementById('library-back-btn').addEventListener('click', closeLibrary);
+
+libraryVersionSelect.addEventListener('change', () => {
+    libraryCodeEl.value = selectedVersion().code;
+});
+
+document.getElementById('library-load-btn').addEventListener('click', () => {
+    setEditorAI(codeEditors[libraryPlayerSelect.value], selectedVersion().code, librarySelected);
+    closeLibrary();
+});
+
+// Save an old version again, as the newest
+document.getElementById('library-restore-btn').addEventListener('click', () => {
+    const code = selectedVersion().code;
+    changeLibrary(() => aiLibrary.save(librarySelected, code));
+});
+
+document.getElementById('library-duplicate-btn').addEventListener('click', () => {
+    changeLibrary(() => {
+        librarySelected = aiLibrary.duplicate(librarySelected);
+    });
+});
+
+document.getElementById('library-delete-btn').addEventListener('click', () => {
+    if (!confirm(`Delete ${librarySelected} and all its versions?`)) return;
+    changeLibrary(() => {
+        aiLibrary.remove(librarySelected);
+        librarySelected = aiLibrary.names()[0] || null;
+    });
+});
+
+document.getElementById('library-export-btn').addEventListener('click', () => {
+    downloadFile(`${librarySelected}.js`, selectedVersion().code, 'text/javascript');
+});
+
+document.getElementById('library-import-btn').addEventListener('click', () => libraryFilesInput.click());
+
+libraryFilesInput.addEventListener('change', () => {
+    const files = Array.from(libraryFilesInput.files);
+    libraryFilesInput.value = '';
+    if (files.length > 0) importAIFiles(files);
+});
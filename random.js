@@ -0,0 +1,56 @@
+// ============================================
+// AI PLATFORMER BATTLE - Seeded Randomness
+// ============================================
+//
+// Every match has a 32-bit seed. AIs get a PRNG derived from the seed, the
+// player and the tick, so a rerun with the same seed sees exactly the same
+// random numbers even if an AI's worker was restarted in between. These
+// functions are also copied into the AI workers, so each must stay
+// self-contained.
+
+// mulberry32: small, fast and good enough for game AI decisions. Returns
+// a function producing floats in [0, 1), like Math.random.
+function createRng(seed) {
+    let a = seed >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Combine integers into one well-mixed 32-bit seed
+function mixSeed(...parts) {
+    let h = 0x811C9DC5;
+    parts.forEach(part => {
+        h = Math.imul(h ^ (part >>> 0), 0x01000193);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0x5BD1E995);
+        h ^= h >>> 15;
+    });
+    return h >>> 0;
+}
+
+// Accepts a number, or any text (hashed), as typed by the user
+function parseSeed(text) {
+    const trimmed = String(text).trim();
+    if (/^\d+$/.test(trimmed)) {
+        return Number(trimmed) >>> 0;
+    }
+    let h = 0x811C9DC5;
+    for (let i = 0; i < trimmed.length; i++) {
+        h = Math.imul(h ^ trimmed.charCodeAt(i), 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// A fresh seed for a new match; the only place real randomness is used
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createRng, mixSeed, parseSeed, randomSeed };
+}
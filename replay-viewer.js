@@ -0,0 +1,163 @@
+// ============================================
+// AI PLATFORMER BATTLE - Replay Viewer
+// ============================================
+//
+// Scrubbable playback of a recorded match, drawn with the same
+// Player.render() visuals as a live game.
+
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// Replay State
+let replayPlayer = null;
+let replayViews = [];
+let replayPanels = [];
+let replayPlaying = false;
+let replaySpeed = 1;
+let replayFrameId = null;
+let replayLastFrameTime = 0;
+let replayAccumulator = 0;
+
+// DOM Elements
+const replayPanelsEl = document.getElementById('replay-panels');
+const replayTickEl = document.getElementById('replay-tick');
+const replayTimeEl = document.getElementById('replay-time');
+const replaySeekEl = document.getElementById('replay-seek');
+const replaySpeedEl = document.getElementById('replay-speed');
+const replayPlayBtn = document.getElementById('replay-play-btn');
+const replayStepBackBtn = document.getElementById('replay-step-back-btn');
+const replayStepFwdBtn = document.getElementById('replay-step-fwd-btn');
+const replayCloseBtn = document.getElementById('replay-close-btn');
+const watchReplayBtn = document.getElementById('watch-replay-btn');
+const downloadReplayBtn = document.getElementById('download-replay-btn');
+const loadReplayBtn = document.getElementById('load-replay-btn');
+const loadReplayInput = document.getElementById('load-replay-input');
+
+let replayReturnScreen = 'setup-screen';
+
+function openReplay(replay, returnScreen) {
+    replayPlayer = new ReplayPlayer(replay);
+    replayReturnScreen = returnScreen;
+    replayPanels = createPlayerPanels(replayPanelsEl, replayPlayer.simulation.players.length);
+    replayViews = replayPlayer.simulation.players.map((state, i) =>
+        new Player(i + 1, null, replayPanels[i].canvas, replayPanels[i].ctx, state));
+    replaySeekEl.max = replayPlayer.length;
+    setReplayPlaying(false);
+    showScreen('replay-screen');
+    renderReplay(1);
+}
+
+function closeReplay() {
+    setReplayPlaying(false);
+    replayPlayer = null;
+    replayViews = [];
+    replayPanels = [];
+    showScreen(replayReturnScreen);
+}
+
+function setReplayPlaying(playing) {
+    replayPlaying = playing;
+    replayPlayBtn.textContent = playing ? 'PAUSE' : 'PLAY';
+    if (replayFrameId) {
+        cancelAnimationFrame(replayFrameId);
+        replayFrameId = null;
+    }
+    if (playing) {
+        // Restart from the beginning if we are parked on the last tick
+        if (replayPlayer.tick >= replayPlayer.length) {
+            seekReplay(0);
+        }
+        replayLastFrameTime = performance.now();
+        replayAccumulator = 0;
+        replayFrameId = requestAnimationFrame(replayLoop);
+    }
+}
+
+function seekReplay(tick) {
+    replayPlayer.seek(tick);
+    replayAccumulator = 0;
+    renderReplay(1);
+}
+
+function replayLoop(currentTime) {
+    replayAccumulator += (currentTime - replayLastFrameTime) * replaySpeed;
+    replayLastFrameTime = currentTime;
+    
+    while (replayAccumulator >= TICK_INTERVAL) {
+        replayAccumulator -= TICK_INTERVAL;
+        if (!replayPlayer.stepForward()) {
+            setReplayPlaying(false);
+            renderReplay(1);
+            return;
+        }
+    }
+    
+    renderReplay(Math.min(1, replayAccumulator / TICK_INTERVAL));
+    replayFrameId = requestAnimationFrame(replayLoop);
+}
+
+function renderReplay(alpha) {
+    // Seeking backwards rebuilds the simulation, so rebind every frame
+    replayViews.forEach((view, i) => {
+        view.state = replayPlayer.simulation.players[i];
+        view.render(alpha, replayPlayer.simulation.opponentsOf(view.state));
+        replayPanels[i].levelEl.textContent = `Level ${view.state.currentLevel + 1}`;
+    });
+    
+    replayTickEl.textContent = `Tick: ${replayPlayer.tick} / ${replayPlayer.length}`;
+    replayTimeEl.textContent = replayPlayer.simulation.elapsedTime.toFixed(2) + 's';
+    replaySeekEl.value = replayPlayer.tick;
+}
+
+// Event Listeners
+replayPlayBtn.addEventListener('click', () => setReplayPlaying(!replayPlaying));
+replayCloseBtn.addEventListener('click', closeReplay);
+
+replayStepBackBtn.addEventListener('click', () => {
+    setReplayPlaying(false);
+    seekReplay(replayPlayer.tick - 1);
+});
+
+replayStepFwdBtn.addEventListener('click', () => {
+    setReplayPlaying(false);
+    seekReplay(replayPlayer.tick + 1);
+});
+
+replaySeekEl.addEventListener('input', () => {
+    seekReplay(parseInt(replaySeekEl.value, 10));
+});
+
+REPLAY_SPEEDS.forEach(speed => {
+    const option = document.createElement('option');
+    option.value = speed;
+    option.textContent = `${speed}x`;
+    option.selected = speed === replaySpeed;
+    replaySpeedEl.appendChild(option);
+});
+
+replaySpeedEl.addEventListener('change', () => {
+    replaySpeed = parseFloat(replaySpeedEl.value);
+});
+
+watchReplayBtn.addEventListener('click', () => {
+    if (lastReplay) openReplay(lastReplay, 'results-screen');
+});
+
+downloadReplayBtn.addEventListener('click', () => {
+    if (!lastReplay) return;
+    downloadFile(`replay-${Date.now()}.json`, JSON.stringify(lastReplay), 'application/json');
+});
+
+loadReplayBtn.addEventListener('click', () => loadReplayInput.click());
+
+loadReplayInput.addEventListener('change', async () => {
+    const file = loadReplayInput.files[0];
+    loadReplayInput.value = '';
+    if (!file) return;
+    
+    try {
+        openReplay(parseReplay(await file.text()), 'setup-screen');
+    } catch (e) {
+        console.error('Could not load replay:', e);
+        alert(`Could not load replay: ${e.message}`);
+    }
+});
@@ -0,0 +1,136 @@
+// ============================================
+// AI PLATFORMER BATTLE - Match Replays
+// ============================================
+//
+// A replay stores only what the simulation cannot work out by itself: the
+// level strings and every player's per-tick AI output. Because the
+// simulation is deterministic, stepping a fresh Simulation through those
+// outputs reproduces the match exactly; the recorded positions are kept
+// so a replay can be checked against (and investigated without) the
+// engine that plays it back. No DOM here, so it also loads in Node.
+
+const REPLAY_VERSION = 1;
+
+// Hex SHA-256 of an AI's source, so replays identify the code without
+// embedding it
+async function hashCode(code) {
+    const bytes = new TextEncoder().encode(code);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+class ReplayRecorder {
+    // `levels` are the level strings the match was built from; `rules`
+    // decide when it ends, so playback stops where the match did
+    constructor(levels, codeHashes, seed, arena = false, rules = DEFAULT_MATCH_RULES) {
+        this.levels = levels;
+        this.codeHashes = codeHashes;
+        this.seed = seed;
+        this.arena = arena;
+        this.rules = rules;
+        this.ticks = []; // Per tick: [[forceX, forceY] | null, ...] per player
+        this.positions = []; // Per tick: [[x, y], ...] per player after the step
+    }
+    
+    // Call after simulation.step(actions)
+    record(actions, simulation) {
+        this.ticks.push(actions.map(action => action ? [action.forceX, action.forceY] : null));
+        this.positions.push(simulation.players.map(state => [state.position.x, state.position.y]));
+    }
+    
+    toJSON() {
+        return {
+            version: REPLAY_VERSION,
+            tickRate: TICK_RATE,
+            substeps: SUBSTEPS,
+            seed: this.seed,
+            arena: this.arena,
+            rules: this.rules,
+            levels: this.levels,
+            players: this.codeHashes.map((codeHash, i) => ({ id: i + 1, codeHash })),
+            ticks: this.ticks,
+            positions: this.positions
+        };
+    }
+}
+
+// Parse and sanity-check a replay file's contents. Throws on anything this
+// version of the game cannot play back.
+function parseReplay(text) {
+    const replay = typeof text === 'string' ? JSON.parse(text) : text;
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+    }
+    if (replay.tickRate !== TICK_RATE || replay.substeps !== SUBSTEPS) {
+        throw new Error('Replay was recorded with a different tick rate');
+    }
+    if (!Array.isArray(replay.levels) || !Array.isArray(replay.players) || !Array.isArray(replay.ticks)) {
+        throw new Error('Replay is missing levels, players or ticks');
+    }
+    return replay;
+}
+
+// Re-runs a replay through the simulation. Seeking backwards restarts from
+// tick 0; a whole match re-simulates in a few milliseconds.
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.levels = replay.levels.map(parseLevel);
+        this.length = replay.ticks.length;
+        this.divergedAt = null; // First tick whose position differs from the recording
+        this.reset();
+    }
+    
+    get tick() {
+        return this.simulation.tick;
+    }
+    
+    reset() {
+        // Replays from before match rules were played by the default ones
+        this.simulation = new Simulation(this.levels, this.replay.players.length, {
+            arena: !!this.replay.arena,
+            rules: this.replay.rules
+        });
+    }
+    
+    stepForward() {
+        const tick = this.simulation.tick;
+        if (tick >= this.length) return false;
+        
+        const actions = this.replay.ticks[tick].map(action => action ? { forceX: action[0], forceY: action[1] } : null);
+        this.simulation.step(actions);
+        
+        const recorded = this.replay.positions && this.replay.positions[tick];
+        if (recorded && this.divergedAt === null) {
+            const matches = this.simulation.players.every((state, i) =>
+                state.position.x === recorded[i][0] && state.position.y === recorded[i][1]);
+            if (!matches) {
+                this.divergedAt = tick + 1;
+                console.warn(`Replay diverges from its recording at tick ${this.divergedAt}`);
+            }
+        }
+        return true;
+    }
+    
+    seek(tick) {
+        tick = Math.max(0, Math.min(this.length, tick));
+        if (tick < this.simulation.tick) {
+            this.reset();
+        }
+        while (this.simulation.tick < tick) {
+            this.stepForward();
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REPLAY_VERSION,
+        hashCode,
+        ReplayRecorder,
+        parseReplay,
+        ReplayPlayer
+    };
+}
@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+// ============================================
+// AI PLATFORMER BATTLE - Headless Match Runner
+// ============================================
+//
+// Plays matches in Node, without a browser, for evaluating AIs in bulk:
+//
+//   node run-match.js ai1.js ai2.js [more.js ...] [options]
+//
+//   --pack <file>      Level pack JSON to play (default: the built-in levels)
+//   --seed <seed>      Match seed, or a range such as 1-50; repeat it to
+//                      run one match per seed (default: one random seed)
+//   --arena            Shared-arena mode
+//   --mode <mode>      Match rules: race, time-trial or fewest-deaths
+//   --countdown <n>    Ticks everyone else gets once someone finishes
+//   --tick-limit <n>   Ticks after which the match ends, as in the rules
+//   --death-penalty <n>  Ticks added to a player's time per lava death
+//   --physics <name>   Physics profile for levels without their own @physics
+//   --max-ticks <n>    Give up on a match nobody finishes (default 6000)
+//   --replay <file>    Save the replay; with several seeds, one file per
+//                      seed named <file>-<seed>.json
+//
+// Prints { matches, summary } as JSON. What the AIs log goes to stderr.
+//
+// The engine files are loaded the way index.html loads them, and each AI
+// runs aiWorkerMain() in its own vm context instead of a Web Worker, so
+// matches play out as in the browser. The exception is AI timing: a tick
+// over AI_TIMEOUT on this machine is not necessarily over it in a browser.
+// A vm context keeps an AI away from Node's APIs by accident, not by
+// design; only run code you trust.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ENGINE_SCRIPTS = [
+    'levels.js',
+    'simulation.js',
+    'level-validator.js',
+    'level-packs.js',
+    'random.js',
+    'ai-sensors.js',
+    'ai-worker.js',
+    'replay.js'
+];
+ENGINE_SCRIPTS.forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: file });
+});
+
+const USAGE = `Usage: node run-match.js ai1.js ai2.js [more.js ...] [options]
+
+  --pack <file>      Level pack JSON to play (default: the built-in levels)
+  --seed <seed>      Match seed, or a range such as 1-50; repeatable
+  --arena            Shared-arena mode
+  --mode <mode>      race, time-trial or fewest-deaths (default race)
+  --countdown <n>    Ticks everyone else gets once someone finishes (default ${FINISH_COUNTDOWN_TICKS})
+  --tick-limit <n>   Ticks after which the match ends (time trials default to ${TIME_TRIAL_TICKS})
+  --death-penalty <n>  Ticks added to a player's time per lava death (default 0)
+  --physics <name>   Physics profile: ${PHYSICS_PROFILE_NAMES.join(', ')}
+  --max-ticks <n>    Give up on a match nobody finishes (default ${MAX_MATCH_TICKS})
+  --replay <file>    Save the replay (one file per seed when there are several)`;
+
+// Node counterpart of AIWorker: the same worker code, run synchronously in
+// a vm context whose `self` fakes the worker's messaging
+class HeadlessAI {
+    constructor(playerId, code, seed) {
+        this.playerId = playerId;
+        this.code = code;
+        this.seed = seed;
+        this.failed = false; // Gave up after the code hung while loading
+        this.compileError = null;
+        this.compileErrorLine = null;
+        this.restarts = 0;
+        this.start();
+    }
+    
+    start() {
+        const context = vm.createContext({
+            performance: { now: () => performance.now() },
+            postMessage: message => { this.reply = message; },
+            addEventListener: (type, listener) => { this.listener = listener; }
+        });
+        context.self = context;
+        
+        const helpers = AI_WORKER_HELPERS.map(helper => helper.toString()).join('\n');
+        vm.runInContext(`${helpers}\n(${aiWorkerMain.toString()})();`, context);
+        
+        // Messages cross as JSON, like a structured clone, so the AI only
+        // ever sees objects from its own realm
+        context.__deliver = json => this.listener({ data: JSON.parse(json) });
+        this.context = context;
+        
+        try {
+            const ready = this.send({ type: 'init', code: this.code, seed: this.seed, playerId: this.playerId, limits: AI_OUTPUT_LIMITS }, AI_BOOT_TIMEOUT);
+            this.compileError = ready.error;
+            this.compileErrorLine = ready.errorLine;
+            this.printLogs(readLogLines(ready.logs, AI_OUTPUT_LIMITS));
+        } catch (e) {
+            if (e.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw e;
+            this.failed = true;
+            this.compileError = 'Timed out while loading';
+        }
+    }
+    
+    // Deliver one message and return the worker's reply. Throws if the
+    // worker is still busy after `timeout` ms.
+    send(message, timeout) {
+        this.reply = null;
+        this.context.__message = JSON.stringify(message);
+        vm.runInContext('__deliver(__message)', this.context, { timeout });
+        return this.reply;
+    }
+    
+    // The AI's console output goes to stderr, tagged with player and tick,
+    // leaving stdout to the results
+    printLogs(logs, tick = null) {
+        const tag = tick === null ? `P${this.playerId}` : `P${this.playerId} T${tick}`;
+        logs.forEach(entry => process.stderr.write(`[${tag}] ${entry.text}\n`));
+    }
+    
+    // Same contract as AIWorker.run(), minus the promise
+    run(input, resetMemory) {
+        if (this.failed || this.compileError) {
+            return { status: 'error', output: null, debug: [], logs: [], error: this.compileError, errorLine: this.compileErrorLine, duration: null };
+        }
+        
+        let message;
+        try {
+            message = this.send({ type: 'tick', id: 0, input, resetMemory }, AI_TIMEOUT);
+        } catch (e) {
+            if (e.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw e;
+            // Replace the hung AI; its memory is lost with it
+            this.restarts++;
+            this.start();
+            return { status: 'timeout', output: null, debug: [], logs: [], error: null, errorLine: null, duration: null };
+        }
+        const logs = readLogLines(message.logs, AI_OUTPUT_LIMITS);
+        this.printLogs(logs, input.tick);
+        
+        if (message.error) {
+            return { status: 'error', output: null, debug: [], logs, error: message.error, errorLine: message.errorLine, duration: message.duration };
+        }
+        if (message.duration > AI_TIMEOUT) {
+            return { status: 'timeout', output: null, debug: [], logs, error: null, errorLine: null, duration: message.duration };
+        }
+        return { status: 'ok', output: message.output, debug: readDebugShapes(message.debug, AI_OUTPUT_LIMITS), logs, error: null, errorLine: null, duration: message.duration };
+    }
+}
+
+// Play one match to the end (or maxTicks) and describe how it went.
+// `ais` are [{ file, code }] in player order.
+async function runMatch({ ais, levels, seed, arena, rules, maxTicks }) {
+    const simulation = new Simulation(levels.map(parseLevel), ais.length, { arena, rules });
+    const workers = ais.map((ai, i) => new HeadlessAI(i + 1, ai.code, seed));
+    const codeHashes = await Promise.all(ais.map(ai => hashCode(ai.code)));
+    const recorder = new ReplayRecorder(levels, codeHashes, seed, arena, simulation.rules);
+    const memoryLevels = simulation.players.map(state => state.currentLevel);
+    const problems = ais.map(() => ({ errors: 0, timeouts: 0, firstError: null, firstErrorLine: null }));
+    
+    while (!simulation.over && simulation.tick < maxTicks) {
+        const inputs = simulation.players.map((state, i) => simulation.getAIInput(i));
+        const actions = simulation.players.map((state, i) => {
+            if (state.finished) return null;
+            
+            // Reset memory per level, as Player.executeAI() does
+            const resetMemory = memoryLevels[i] !== state.currentLevel;
+            memoryLevels[i] = state.currentLevel;
+            
+            const response = workers[i].run(inputs[i], resetMemory);
+            if (response.status === 'error') {
+                if (problems[i].errors++ === 0) {
+                    problems[i].firstError = response.error;
+                    problems[i].firstErrorLine = response.errorLine;
+                }
+            } else if (response.status === 'timeout') {
+                problems[i].timeouts++;
+            }
+            return response.output;
+        });
+        simulation.step(actions);
+        recorder.record(actions, simulation);
+    }
+    
+    const ranking = rankPlayers(simulation.players, simulation.rules);
+    const winners = ranking.filter(entry => entry.rank === 1);
+    return {
+        result: {
+            seed,
+            arena,
+            rules: simulation.rules,
+            ticks: simulation.tick,
+            timedOut: !simulation.over, // Stopped at maxTicks
+            winner: winners.length === 1 ? winners[0].state.id : null,
+            players: simulation.players.map((state, i) => ({
+                id: state.id,
+                file: ais[i].file,
+                rank: ranking.find(entry => entry.state === state).rank,
+                levelsCompleted: state.completedLevelTicks.length,
+                finished: state.finished,
+                totalTicks: state.totalTicks,
+                rankingTicks: rankingTicks(state, simulation.rules), // totalTicks plus the death penalty
+                ticksPerLevel: state.completedLevelTicks,
+                deaths: state.deaths,
+                aiErrors: problems[i].errors,
+                aiTimeouts: problems[i].timeouts,
+                firstAIError: problems[i].firstError,
+                firstAIErrorLine: problems[i].firstErrorLine // Line of the AI's code, when known
+            }))
+        },
+        replay: recorder.toJSON()
+    };
+}
+
+// '42', 'some text' or a range '1-50'
+function parseSeedArg(arg) {
+    const range = arg.match(/^(\d+)-(\d+)$/);
+    if (!range) return [parseSeed(arg)];
+    const seeds = [];
+    for (let seed = Number(range[1]); seed <= Number(range[2]); seed++) {
+        seeds.push(seed >>> 0);
+    }
+    return seeds;
+}
+
+function parseArgs(argv) {
+    const options = { files: [], pack: null, seeds: [], arena: false, rules: {}, maxTicks: MAX_MATCH_TICKS, replay: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        const ticks = () => {
+            const n = Number(value());
+            if (!Number.isInteger(n)) throw new Error(`${arg} must be a whole number of ticks`);
+            return n;
+        };
+        switch (arg) {
+            case '--pack': options.pack = value(); break;
+            case '--seed': options.seeds.push(...parseSeedArg(value())); break;
+            case '--arena': options.arena = true; break;
+            case '--mode': options.rules.mode = value(); break;
+            case '--countdown': options.rules.countdownTicks = ticks(); break;
+            case '--tick-limit': options.rules.tickLimit = ticks(); break;
+            case '--death-penalty': options.rules.deathPenaltyTicks = ticks(); break;
+            case '--physics': options.rules.physics = value(); break;
+            case '--replay': options.replay = value(); break;
+            case '--max-ticks': {
+                options.maxTicks = Number(value());
+                if (!Number.isInteger(options.maxTicks) || options.maxTicks <= 0) {
+                    throw new Error('--max-ticks must be a positive whole number');
+                }
+                break;
+            }
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                options.files.push(arg);
+        }
+    }
+    if (!options.help && options.files.length < 2) {
+        throw new Error('Give at least two AI files');
+    }
+    options.rules = matchRules(options.rules);
+    return options;
+}
+
+// out.json -> out-<seed>.json when a run has several seeds
+function replayPath(file, seed, seedCount) {
+    if (seedCount === 1) return file;
+    const ext = path.extname(file);
+    return `${file.slice(0, file.length - ext.length)}-${seed}${ext || '.json'}`;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    
+    const pack = options.pack ? parseLevelPack(fs.readFileSync(options.pack, 'utf8')) : BUILTIN_PACK;
+    const levels = pack.levels.map(level => level.text);
+    const ais = options.files.map(file => ({ file, code: fs.readFileSync(file, 'utf8') }));
+    const seeds = options.seeds.length > 0 ? options.seeds : [randomSeed()];
+    
+    const matches = [];
+    for (const seed of seeds) {
+        const { result, replay } = await runMatch({
+            ais, levels, seed, arena: options.arena, rules: options.rules, maxTicks: options.maxTicks
+        });
+        matches.push(result);
+        if (options.replay) {
+            fs.writeFileSync(replayPath(options.replay, seed, seeds.length), JSON.stringify(replay));
+        }
+    }
+    
+    const summary = {
+        pack: pack.name,
+        matches: matches.length,
+        ties: matches.filter(match => match.winner === null).length,
+        players: ais.map((ai, i) => ({
+            id: i + 1,
+            file: ai.file,
+            wins: matches.filter(match => match.winner === i + 1).length,
+            averageRank: matches.reduce((sum, match) => sum + match.players[i].rank, 0) / matches.length
+        }))
+    };
+    console.log(JSON.stringify({ matches, summary }, null, 2));
+}
+
+main().catch(e => {
+    console.error(e.message);
+    process.exit(1);
+});
@@ -0,0 +1,938 @@
+// ============================================
+// AI PLATFORMER BATTLE - Simulation Core
+// ============================================
+//
+// Pure match simulation: physics, tick scheduling and level progression.
+// Never touches `document`, canvas, timers or the wall clock, so the same
+// levels and the same sequence of AI outputs always produce bit-identical
+// state. The browser renderer (game.js) only reads from it, and the file
+// loads unchanged in Node via require().
+
+// Game Constants
+const GRID_SIZE = 100;
+const PLAYER_SIZE = 5; // 5x5 grid units
+const TICK_RATE = 10; // 10 ticks per second
+const TICK_INTERVAL = 1000 / TICK_RATE; // 100ms
+const SUBSTEPS = 6; // Physics sub-steps per tick (60 steps per second)
+const STEP_DT = 1 / (TICK_RATE * SUBSTEPS); // Seconds per sub-step
+const AI_TIMEOUT = 100; // 100ms timeout for AI
+const FINISH_COUNTDOWN = 10; // By default, 10 seconds after first player finishes
+const FINISH_COUNTDOWN_TICKS = FINISH_COUNTDOWN * TICK_RATE;
+const TIME_TRIAL_TICKS = 1200; // Default time trial length, 2 minutes
+const MAX_MATCH_TICKS = 6000; // Headless runs (CLI, tournaments) give up on a match nobody finishes after 10 minutes
+
+// Match Rules
+// 'race': the classic match. 'time-trial': no finish countdown, everyone
+// plays until the tick limit. 'fewest-deaths': a race where deaths count
+// before time.
+const MATCH_MODES = ['race', 'time-trial', 'fewest-deaths'];
+
+const DEFAULT_MATCH_RULES = {
+    mode: 'race',
+    bestOf: 1, // Races in a series; game.js plays them, the simulation only ever sees one
+    countdownTicks: FINISH_COUNTDOWN_TICKS, // How long the others get once someone finishes; null waits for everyone
+    tickLimit: null, // The match ends after this many ticks whatever happens; null for no limit
+    deathPenaltyTicks: 0, // Added to a player's ticks for every lava death
+    physics: 'default' // PHYSICS_PROFILES entry for levels without their own @physics
+};
+
+// Physics Constants
+const GRAVITY = 50; // Grid units per second squared
+const MAX_HORIZONTAL_FORCE = 80; // Max horizontal acceleration
+const JUMP_FORCE = 35; // Jump impulse
+const FRICTION = 0.95; // Horizontal friction per 1/60s when grounded (was 0.85 - too strong)
+const AIR_RESISTANCE = 0.98; // Horizontal friction per 1/60s when airborne
+const MAX_VELOCITY_X = 40; // Max horizontal velocity
+const MAX_VELOCITY_Y = 60; // Max vertical velocity (falling)
+const AI_LOOKAHEAD_TICKS = 10; // Future moving platform positions given to the AI
+const ICE_FRICTION = 0.995; // Horizontal friction per 1/60s on ice
+const CONVEYOR_SPEED = 10; // Grid units per second a conveyor carries a standing player
+const BOUNCE_FORCE = 50; // Upward velocity a bounce pad gives on landing
+const WATER_GRAVITY = 0.3; // Gravity scale in water (buoyancy)
+
+// Physics Profiles
+// Named sets of the constants above, picked per match (the `physics` match
+// rule) or per level (@physics, which wins). The simulation only reads the
+// player's `physics`, never the constants directly. Friction is tuned per
+// 1/60s: sub-steps are exactly 1/60s long, so the factors are applied
+// as-is instead of through Math.pow, whose last bit is not guaranteed to
+// agree between JavaScript engines.
+const DEFAULT_PHYSICS = Object.freeze({
+    name: 'default',
+    gravity: GRAVITY,
+    maxHorizontalForce: MAX_HORIZONTAL_FORCE,
+    jumpForce: JUMP_FORCE,
+    friction: FRICTION,
+    airResistance: AIR_RESISTANCE,
+    maxVelocityX: MAX_VELOCITY_X,
+    maxVelocityY: MAX_VELOCITY_Y,
+    iceFriction: ICE_FRICTION,
+    conveyorSpeed: CONVEYOR_SPEED,
+    bounceForce: BOUNCE_FORCE,
+    waterGravity: WATER_GRAVITY
+});
+
+// Each keeps a full jump about as high as the default one, so levels stay
+// passable; what changes is how long a jump lasts and how the player stops
+const PHYSICS_PROFILES = {
+    default: DEFAULT_PHYSICS,
+    floaty: Object.freeze({ ...DEFAULT_PHYSICS, name: 'floaty', gravity: 25, jumpForce: 25, maxVelocityY: 35, bounceForce: 35 }),
+    heavy: Object.freeze({ ...DEFAULT_PHYSICS, name: 'heavy', gravity: 90, jumpForce: 47, maxVelocityY: 90, bounceForce: 67 }),
+    slippery: Object.freeze({ ...DEFAULT_PHYSICS, name: 'slippery', maxHorizontalForce: 60, friction: 0.99, airResistance: 0.99, iceFriction: 0.999 })
+};
+const PHYSICS_PROFILE_NAMES = Object.keys(PHYSICS_PROFILES);
+
+// Per-player simulation state
+function createPlayerState(id) {
+    return {
+        id: id,
+        currentLevel: 0,
+        levelData: null,
+        position: { x: 0, y: 0 },
+        prevPosition: { x: 0, y: 0 }, // Position at the start of the last tick, for render interpolation
+        velocity: { x: 0, y: 0 },
+        isGrounded: false,
+        checkpoint: null, // Last checkpoint tile { x, y } touched on this level
+        surface: null, // Tile type stood on during the last sub-step, null in the air
+        zone: NO_ZONE, // Region effects at the player during the last sub-step, see zoneEffects()
+        levelSteps: 0, // Physics sub-steps since the level started; drives moving and timed tiles
+        standingOn: null, // Index of the moving platform the player stood on last sub-step
+        crumbling: {}, // 'x,y' of crumbling tiles stood on -> levelSteps when it happened
+        levelTicks: 0,
+        totalTicks: 0,
+        completedLevelTicks: [], // levelTicks of each level finished, in order
+        deaths: 0, // Times sent back by lava, over the whole match
+        deathLocations: [], // { level, tick, x, y } of each of those deaths
+        jumps: 0, // Jumps off the ground (not swimming strokes), over the whole match
+        physics: DEFAULT_PHYSICS, // The PHYSICS_PROFILES entry for the current level
+        finished: false,
+        finishTick: null
+    };
+}
+
+// Tile types the player collides with. Every one but 'platform' also has
+// a surface effect when stood on.
+const SOLID_TILES = new Set(['platform', 'ice', 'conveyor-left', 'conveyor-right', 'bounce']);
+
+// When the player stands across several surfaces, the first of these wins:
+// any bounce pad launches, any conveyor carries, and ice only slips when
+// there is no ordinary platform underfoot
+const SURFACE_PRIORITY = ['bounce', 'conveyor-left', 'conveyor-right', 'platform', 'ice'];
+
+// Region effects outside every @wind, @gravity and @water region
+const NO_ZONE = { windX: 0, windY: 0, gravity: 1, water: null };
+
+function tileAt(grid, tx, ty) {
+    if (tx < 0 || tx >= GRID_SIZE || ty < 0 || ty >= GRID_SIZE) return null;
+    return grid[tx][ty];
+}
+
+// Respawn at the last checkpoint touched, or the level start
+function placeAtStart(state) {
+    const spawn = state.checkpoint || state.levelData.startPos;
+    state.position = {
+        x: spawn.x,
+        y: spawn.y + 1 // Start slightly above the start tile
+    };
+    state.prevPosition = { ...state.position };
+    state.velocity = { x: 0, y: 0 };
+    state.isGrounded = false;
+    state.standingOn = null;
+    state.surface = null;
+    state.zone = zoneEffects(state);
+}
+
+// Combined effect of the regions the centre of the player's body is in:
+// { windX, windY, gravity (scale), water (the @water region, or null) }
+function zoneEffects(state) {
+    const zones = state.levelData.zones;
+    if (zones.length === 0) return NO_ZONE;
+    
+    const cx = state.position.x + PLAYER_SIZE / 2;
+    const cy = state.position.y + PLAYER_SIZE / 2;
+    const effects = { ...NO_ZONE };
+    zones.forEach(zone => {
+        if (cx < zone.x || cx >= zone.x + zone.width || cy < zone.y || cy >= zone.y + zone.height) return;
+        if (zone.type === 'wind') {
+            effects.windX += zone.forceX;
+            effects.windY += zone.forceY;
+        } else if (zone.type === 'gravity') {
+            effects.gravity *= zone.scale;
+        } else if (zone.type === 'water') {
+            effects.gravity *= state.physics.waterGravity;
+            effects.water = zone;
+        }
+    });
+    return effects;
+}
+
+// Bottom-left corner of a moving platform after `steps` sub-steps of its
+// level. It goes back and forth along its path at a constant speed.
+function moverPosition(mover, steps) {
+    const { path, legs, length } = mover;
+    if (length === 0) return { ...path[0] };
+    
+    let distance = (steps * STEP_DT * mover.speed) % (length * 2);
+    if (distance > length) {
+        distance = length * 2 - distance; // On the way back
+    }
+    for (let i = 0; i < legs.length; i++) {
+        if (distance <= legs[i] || i === legs.length - 1) {
+            const t = legs[i] === 0 ? 0 : Math.min(1, distance / legs[i]);
+            return {
+                x: path[i].x + (path[i + 1].x - path[i].x) * t,
+                y: path[i].y + (path[i + 1].y - path[i].y) * t
+            };
+        }
+        distance -= legs[i];
+    }
+}
+
+// Timed tiles are on for `on` ticks, then off for `off` ticks, from the
+// start of the level (shifted by `offset`)
+function timerOn(timer, steps) {
+    const period = (timer.on + timer.off) * SUBSTEPS;
+    return (steps + timer.offset * SUBSTEPS) % period < timer.on * SUBSTEPS;
+}
+
+// 'solid', 'crumbling' (stood on, about to give way) or 'gone'
+function crumbleState(state, tx, ty) {
+    const since = state.crumbling[`${tx},${ty}`];
+    if (since === undefined) return 'solid';
+    const { delay, respawn } = state.levelData.crumble;
+    const elapsed = state.levelSteps - since;
+    if (elapsed < delay * SUBSTEPS) return 'crumbling';
+    if (elapsed < (delay + respawn) * SUBSTEPS) return 'gone';
+    return 'solid';
+}
+
+// What a tile currently behaves as for this player: crumbling and timed
+// tiles turn into 'platform', 'lava' or 'air' depending on their state
+function effectiveTile(state, tx, ty) {
+    const tile = tileAt(state.levelData.grid, tx, ty);
+    switch (tile) {
+        case 'crumble':
+            return crumbleState(state, tx, ty) === 'gone' ? 'air' : 'platform';
+        case 'timed-platform':
+            return timerOn(state.levelData.timer, state.levelSteps) ? 'platform' : 'air';
+        case 'timed-lava':
+            return timerOn(state.levelData.timer, state.levelSteps) ? 'lava' : 'air';
+        default:
+            return tile;
+    }
+}
+
+// Apply one tick's AI output ({ forceX, forceY }) as velocity impulses
+function applyAIOutput(state, result) {
+    if (!result) return;
+    
+    // Apply horizontal force
+    let forceX = parseFloat(result.forceX) || 0;
+    forceX = Math.max(-1, Math.min(1, forceX));
+    state.velocity.x += forceX * state.physics.maxHorizontalForce * (TICK_INTERVAL / 1000);
+    
+    let forceY = parseFloat(result.forceY) || 0;
+    forceY = Math.max(0, Math.min(1, forceY));
+    if (forceY <= 0) return;
+    
+    // Apply jump force (only when grounded), away from the ceiling when
+    // gravity is reversed; in water the player can also swim up
+    if (state.isGrounded) {
+        state.velocity.y = forceY * state.physics.jumpForce * (state.zone.gravity < 0 ? -1 : 1);
+        state.isGrounded = false;
+        state.jumps++;
+    } else if (state.zone.water) {
+        state.velocity.y = Math.max(state.velocity.y, forceY * state.zone.water.swim);
+    }
+}
+
+// Advance one player by one tick: apply the AI output, then run SUBSTEPS
+// physics steps. Stops early and returns 'lava' or 'goal' when the player
+// touches one, otherwise returns null. Level progression is the caller's job.
+function stepTick(state, action) {
+    applyAIOutput(state, action);
+    for (let s = 0; s < SUBSTEPS; s++) {
+        const event = stepPhysics(state);
+        if (event) return event;
+    }
+    return null;
+}
+
+// Shared-arena version of stepTick() for several players at once. Their
+// sub-steps are interleaved so that players on the same level can bump
+// into each other; returns each player's event as stepTick() would.
+function stepArenaTick(states, actions) {
+    states.forEach((state, i) => applyAIOutput(state, actions[i]));
+    const events = states.map(() => null);
+    for (let s = 0; s < SUBSTEPS; s++) {
+        states.forEach((state, i) => {
+            if (!events[i]) events[i] = stepPhysics(state);
+        });
+        resolvePlayerCollisions(states.filter((state, i) => !events[i]));
+    }
+    return events;
+}
+
+// Push apart every two players on the same level that overlap, along the
+// axis of least overlap like a tile collision. Side by side, each gives
+// way by half, so a runner shoves a player standing still and two players
+// pushing against each other stay put. One on top of the other is lifted
+// clear and stands on the other's head. Exact ties go by player order.
+// Nobody is pushed into a solid tile or off the grid: a player against a
+// wall leaves the other to give way fully, and where neither can the two
+// stay overlapped until one moves.
+function resolvePlayerCollisions(states) {
+    for (let a = 0; a < states.length; a++) {
+        for (let b = a + 1; b < states.length; b++) {
+            const first = states[a];
+            const second = states[b];
+            if (first.currentLevel !== second.currentLevel) continue;
+            
+            const firstBounds = playerBounds(first);
+            const secondBounds = playerBounds(second);
+            const overlapX = Math.min(firstBounds.right, secondBounds.right) - Math.max(firstBounds.left, secondBounds.left);
+            const overlapY = Math.min(firstBounds.top, secondBounds.top) - Math.max(firstBounds.bottom, secondBounds.bottom);
+            if (overlapX <= 0 || overlapY <= 0) continue;
+            
+            if (overlapY < overlapX) {
+                const [lower, upper] = firstBounds.bottom <= secondBounds.bottom ? [first, second] : [second, first];
+                upper.position.y += pushRoom(upper, 'y', 1, overlapY);
+                upper.velocity.y = Math.max(upper.velocity.y, lower.velocity.y, 0);
+                upper.isGrounded = true;
+            } else {
+                const [left, right] = firstBounds.left <= secondBounds.left ? [first, second] : [second, first];
+                const leftRoom = pushRoom(left, 'x', -1, overlapX);
+                const rightRoom = pushRoom(right, 'x', 1, overlapX);
+                const leftShift = Math.min(leftRoom, Math.max(overlapX / 2, overlapX - rightRoom));
+                left.position.x -= leftShift;
+                right.position.x += Math.min(rightRoom, overlapX - leftShift);
+            }
+        }
+    }
+}
+
+// How far, up to `distance`, a player can be pushed along `axis` ('x' or
+// 'y') in `direction` (1 or -1) before it would overlap a solid tile or
+// leave the grid
+function pushRoom(state, axis, direction, distance) {
+    const bounds = playerBounds(state);
+    const [alongLow, alongHigh] = axis === 'x' ? [bounds.left, bounds.right] : [bounds.bottom, bounds.top];
+    const [acrossLow, acrossHigh] = axis === 'x' ? [bounds.bottom, bounds.top] : [bounds.left, bounds.right];
+    const edge = direction > 0 ? alongHigh : alongLow;
+    let room = Math.max(0, Math.min(distance, direction > 0 ? GRID_SIZE - edge : edge));
+    
+    // Lines of tiles ahead of the leading edge, nearest first
+    let line = direction > 0 ? Math.floor(edge) : Math.ceil(edge) - 1;
+    while (true) {
+        const gap = Math.max(0, direction > 0 ? line - edge : edge - (line + 1));
+        if (gap >= room) return room;
+        for (let t = Math.floor(acrossLow); t < acrossHigh; t++) {
+            const tile = axis === 'x' ? effectiveTile(state, line, t) : effectiveTile(state, t, line);
+            if (SOLID_TILES.has(tile)) return gap;
+        }
+        line += direction;
+    }
+}
+
+function playerBounds(state) {
+    return {
+        left: state.position.x,
+        right: state.position.x + PLAYER_SIZE,
+        bottom: state.position.y,
+        top: state.position.y + PLAYER_SIZE
+    };
+}
+
+// Advance one fixed physics sub-step. Returns 'lava', 'goal' or null.
+function stepPhysics(state) {
+    state.levelSteps++;
+    
+    // Ride along with the moving platform stood on last sub-step
+    if (state.standingOn !== null) {
+        const mover = state.levelData.movers[state.standingOn];
+        const from = moverPosition(mover, state.levelSteps - 1);
+        const to = moverPosition(mover, state.levelSteps);
+        state.position.x += to.x - from.x;
+        state.position.y += to.y - from.y;
+    }
+    
+    const physics = state.physics;
+    
+    // Conveyors carry the player like a moving platform would
+    if (state.surface === 'conveyor-left' || state.surface === 'conveyor-right') {
+        state.position.x += (state.surface === 'conveyor-left' ? -1 : 1) * physics.conveyorSpeed * STEP_DT;
+    }
+    
+    // Crumbled tiles that have come back can be stood on afresh
+    Object.keys(state.crumbling).forEach(key => {
+        const [tx, ty] = key.split(',').map(Number);
+        if (crumbleState(state, tx, ty) === 'solid') {
+            delete state.crumbling[key];
+        }
+    });
+    
+    // Apply gravity and wind for the region the player is in
+    const zone = zoneEffects(state);
+    state.zone = zone;
+    state.velocity.y -= physics.gravity * zone.gravity * STEP_DT;
+    state.velocity.x += zone.windX * STEP_DT;
+    state.velocity.y += zone.windY * STEP_DT;
+    
+    // Apply friction/air resistance
+    if (state.isGrounded) {
+        state.velocity.x *= state.surface === 'ice' ? physics.iceFriction : physics.friction;
+    } else {
+        state.velocity.x *= physics.airResistance;
+    }
+    
+    // Water drags on both axes
+    if (zone.water) {
+        const drag = Math.max(0, 1 - zone.water.drag * STEP_DT);
+        state.velocity.x *= drag;
+        state.velocity.y *= drag;
+    }
+    
+    // Clamp velocities
+    state.velocity.x = Math.max(-physics.maxVelocityX, Math.min(physics.maxVelocityX, state.velocity.x));
+    state.velocity.y = Math.max(-physics.maxVelocityY, Math.min(physics.maxVelocityY, state.velocity.y));
+    
+    // Apply velocity
+    state.position.x += state.velocity.x * STEP_DT;
+    state.position.y += state.velocity.y * STEP_DT;
+    
+    // Collision detection and resolution
+    handleCollisions(state);
+    
+    if (touchesTile(state, 'lava')) return 'lava';
+    if (touchesTile(state, 'end')) return 'goal';
+    
+    const checkpoint = touchedCheckpoint(state);
+    if (checkpoint) {
+        state.checkpoint = checkpoint;
+    }
+    return null;
+}
+
+function handleCollisions(state) {
+    const grid = state.levelData.grid;
+    // Player bounds before any pushing this sub-step
+    const player = playerBounds(state);
+    
+    state.isGrounded = false;
+    state.standingOn = null;
+    const surfaces = new Set(); // Types of everything landed on this sub-step
+    
+    // Check all tiles the player might be touching
+    const minTileX = Math.floor(player.left);
+    const maxTileX = Math.floor(player.right);
+    const minTileY = Math.floor(player.bottom);
+    const maxTileY = Math.floor(player.top);
+    
+    for (let tx = minTileX; tx <= maxTileX; tx++) {
+        for (let ty = minTileY; ty <= maxTileY; ty++) {
+            const tile = effectiveTile(state, tx, ty);
+            if (!SOLID_TILES.has(tile)) continue;
+            
+            const landed = resolveBoxCollision(state, player, { left: tx, right: tx + 1, bottom: ty, top: ty + 1 }, {
+                left: !SOLID_TILES.has(effectiveTile(state, tx - 1, ty)),
+                right: !SOLID_TILES.has(effectiveTile(state, tx + 1, ty)),
+                bottom: !SOLID_TILES.has(effectiveTile(state, tx, ty - 1)),
+                top: !SOLID_TILES.has(effectiveTile(state, tx, ty + 1))
+            });
+            if (landed) {
+                surfaces.add(tile);
+            }
+            
+            // Standing on a crumbling tile starts its countdown
+            if (landed && tileAt(grid, tx, ty) === 'crumble' && crumbleState(state, tx, ty) === 'solid') {
+                state.crumbling[`${tx},${ty}`] = state.levelSteps;
+            }
+        }
+    }
+    
+    state.levelData.movers.forEach((mover, i) => {
+        const pos = moverPosition(mover, state.levelSteps);
+        const box = { left: pos.x, right: pos.x + mover.width, bottom: pos.y, top: pos.y + mover.height };
+        if (resolveBoxCollision(state, player, box)) {
+            state.standingOn = i;
+            surfaces.add('platform');
+        }
+    });
+    
+    state.surface = SURFACE_PRIORITY.find(surface => surfaces.has(surface)) || null;
+    if (state.surface === 'bounce') {
+        state.velocity.y = state.physics.bounceForce;
+        state.isGrounded = false;
+    }
+    
+    // Boundary checks
+    if (state.position.x < 0) {
+        state.position.x = 0;
+        state.velocity.x = Math.max(0, state.velocity.x);
+    }
+    if (state.position.x + PLAYER_SIZE > GRID_SIZE) {
+        state.position.x = GRID_SIZE - PLAYER_SIZE;
+        state.velocity.x = Math.min(0, state.velocity.x);
+    }
+    if (state.position.y < 0) {
+        state.position.y = 0;
+        state.velocity.y = Math.max(0, state.velocity.y);
+        state.isGrounded = state.zone.gravity >= 0;
+    }
+    if (state.position.y + PLAYER_SIZE > GRID_SIZE) {
+        state.position.y = GRID_SIZE - PLAYER_SIZE;
+        state.velocity.y = Math.min(0, state.velocity.y);
+        if (state.zone.gravity < 0) {
+            state.isGrounded = true;
+        }
+    }
+}
+
+// Push the player out of one solid box along the axis of least overlap.
+// `open` says which faces of the box are exposed; a face against another
+// solid tile is inside a floor or wall, and pushing out through it would
+// snag the player on the seam between two tiles. Returns true if the
+// player landed on top of the box.
+function resolveBoxCollision(state, player, box, open = { left: true, right: true, bottom: true, top: true }) {
+    // Check overlap
+    const overlapLeft = player.right - box.left;
+    const overlapRight = box.right - player.left;
+    const overlapBottom = player.top - box.bottom;
+    const overlapTop = box.top - player.bottom;
+    
+    if (overlapLeft <= 0 || overlapRight <= 0 || overlapBottom <= 0 || overlapTop <= 0) {
+        return false;
+    }
+    
+    // Find minimum overlap
+    const minOverlapX = Math.min(overlapLeft, overlapRight);
+    const minOverlapY = Math.min(overlapBottom, overlapTop);
+    
+    let vertical = minOverlapY < minOverlapX;
+    const openX = overlapLeft < overlapRight ? open.left : open.right;
+    const openY = overlapBottom < overlapTop ? open.bottom : open.top;
+    if (vertical && !openY && openX) {
+        vertical = false;
+    } else if (!vertical && !openX && openY) {
+        vertical = true;
+    }
+    
+    if (vertical) {
+        // Vertical collision
+        if (overlapBottom < overlapTop) {
+            // Hitting from below (head bump), or landing on the ceiling
+            // when gravity is reversed
+            state.position.y = box.bottom - PLAYER_SIZE;
+            state.velocity.y = Math.min(0, state.velocity.y);
+            if (state.zone.gravity < 0) {
+                state.isGrounded = true;
+            }
+        } else {
+            // Landing on top
+            state.position.y = box.top;
+            state.velocity.y = Math.max(0, state.velocity.y);
+            state.isGrounded = true;
+            return true;
+        }
+    } else {
+        // Horizontal collision
+        if (overlapLeft < overlapRight) {
+            // Hitting from the left
+            state.position.x = box.left - PLAYER_SIZE;
+            state.velocity.x = Math.min(0, state.velocity.x);
+        } else {
+            // Hitting from the right
+            state.position.x = box.right;
+            state.velocity.x = Math.max(0, state.velocity.x);
+        }
+    }
+    return false;
+}
+
+// True if any tile overlapped by the player's 5x5 body is of the given type
+function touchesTile(state, type) {
+    const playerLeft = Math.floor(state.position.x);
+    const playerRight = Math.floor(state.position.x + PLAYER_SIZE);
+    const playerBottom = Math.floor(state.position.y);
+    const playerTop = Math.floor(state.position.y + PLAYER_SIZE);
+    
+    for (let tx = playerLeft; tx <= playerRight; tx++) {
+        for (let ty = playerBottom; ty <= playerTop; ty++) {
+            if (effectiveTile(state, tx, ty) === type) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+// The checkpoint tile the player's body overlaps, or null. If it overlaps
+// the active one, that one wins so standing on a wide checkpoint does not
+// keep moving the respawn point.
+function touchedCheckpoint(state) {
+    const grid = state.levelData.grid;
+    const playerLeft = Math.floor(state.position.x);
+    const playerRight = Math.floor(state.position.x + PLAYER_SIZE);
+    const playerBottom = Math.floor(state.position.y);
+    const playerTop = Math.floor(state.position.y + PLAYER_SIZE);
+    let found = null;
+    
+    for (let tx = playerLeft; tx <= playerRight; tx++) {
+        for (let ty = playerBottom; ty <= playerTop; ty++) {
+            if (tileAt(grid, tx, ty) !== 'checkpoint') continue;
+            if (state.checkpoint && state.checkpoint.x === tx && state.checkpoint.y === ty) {
+                return state.checkpoint;
+            }
+            found = found || { x: tx, y: ty };
+        }
+    }
+    return found;
+}
+
+// Moving, timed and crumbling tiles as the AI sees them before the next
+// tick: where things are now, and where the moving platforms will be at
+// the end of each of the next AI_LOOKAHEAD_TICKS ticks
+function describeLevelObjects(state) {
+    const { movers, timer } = state.levelData;
+    const steps = state.levelSteps;
+    
+    const phase = (steps + timer.offset * SUBSTEPS) % ((timer.on + timer.off) * SUBSTEPS);
+    const on = timerOn(timer, steps);
+    const stepsUntilToggle = on ? timer.on * SUBSTEPS - phase : (timer.on + timer.off) * SUBSTEPS - phase;
+    
+    return {
+        movers: movers.map(mover => {
+            const future = [];
+            for (let t = 1; t <= AI_LOOKAHEAD_TICKS; t++) {
+                future.push(moverPosition(mover, steps + t * SUBSTEPS));
+            }
+            return { ...moverPosition(mover, steps), width: mover.width, height: mover.height, future };
+        }),
+        timer: {
+            on,
+            ticksUntilToggle: timer.off === 0 ? null : Math.ceil(stepsUntilToggle / SUBSTEPS)
+        },
+        crumbling: Object.keys(state.crumbling)
+            .map(key => key.split(',').map(Number))
+            .filter(([x, y]) => crumbleState(state, x, y) !== 'solid')
+            .map(([x, y]) => {
+                const { delay, respawn } = state.levelData.crumble;
+                const elapsed = steps - state.crumbling[`${x},${y}`];
+                const gone = crumbleState(state, x, y) === 'gone';
+                const stepsLeft = (gone ? delay + respawn : delay) * SUBSTEPS - elapsed;
+                return { x, y, gone, ticksUntilChange: Math.ceil(stepsLeft / SUBSTEPS) };
+            })
+    };
+}
+
+// Simulation: owns every player's state and advances the whole match one
+// tick at a time. Each tick applies the AI outputs, then runs SUBSTEPS
+// fixed physics steps, so time is measured in ticks, never in milliseconds.
+class Simulation {
+    // `options.arena` puts players on the same level in one shared world,
+    // where they collide and the AIs see each other. `options.rules` are
+    // passed through matchRules().
+    constructor(levels, playerCount, options = {}) {
+        this.levels = levels; // Parsed levels, as returned by parseLevel()
+        this.arena = !!options.arena;
+        this.rules = matchRules(options.rules);
+        this.tick = 0;
+        this.countdownStartTick = null;
+        this.firstFinisher = null;
+        this.over = false;
+        this.players = [];
+        
+        for (let i = 0; i < playerCount; i++) {
+            const state = createPlayerState(i + 1);
+            this.players.push(state);
+            this.loadLevel(state, 0);
+        }
+    }
+    
+    get elapsedTime() {
+        return this.tick / TICK_RATE;
+    }
+    
+    loadLevel(state, levelIndex) {
+        state.currentLevel = levelIndex; // Update level count first
+        
+        if (levelIndex >= this.levels.length) {
+            state.finished = true;
+            state.finishTick = this.tick;
+            return;
+        }
+        state.levelData = this.levels[levelIndex];
+        state.physics = PHYSICS_PROFILES[state.levelData.physics || this.rules.physics];
+        state.checkpoint = null;
+        state.levelSteps = 0;
+        state.crumbling = {};
+        
+        // Levels are checked with validateLevel() before a match starts
+        if (!state.levelData.startPos) {
+            throw new Error(`Level ${levelIndex + 1} is missing a start position (S)`);
+        }
+        
+        placeAtStart(state);
+        state.levelTicks = 0;
+    }
+    
+    // Snapshot of what player `index` is allowed to know this tick. Callers
+    // pass it to the AI; the simulation never reads it back.
+    getAIInput(index) {
+        const state = this.players[index];
+        const { x, y } = state.position;
+        return {
+            levelData: {
+                grid: state.levelData.grid,
+                startPos: { ...state.levelData.startPos },
+                endPos: { ...state.levelData.endPos },
+                checkpoints: state.levelData.checkpoints.map(pos => ({ ...pos })),
+                checkpoint: state.checkpoint ? { ...state.checkpoint } : null,
+                zones: state.levelData.zones.map(zone => ({ ...zone })),
+                ...describeLevelObjects(state)
+            },
+            position: {
+                bottomLeft: { x: x, y: y },
+                bottomRight: { x: x + PLAYER_SIZE, y: y },
+                topLeft: { x: x, y: y + PLAYER_SIZE },
+                topRight: { x: x + PLAYER_SIZE, y: y + PLAYER_SIZE },
+                center: { x: x + PLAYER_SIZE / 2, y: y + PLAYER_SIZE / 2 }
+            },
+            isGrounded: state.isGrounded,
+            velocity: { ...state.velocity },
+            opponents: !this.arena ? [] : this.players
+                .filter(other => other !== state)
+                .map(other => ({
+                    id: other.id,
+                    sameLevel: !other.finished && other.currentLevel === state.currentLevel,
+                    finished: other.finished,
+                    position: { ...other.position },
+                    velocity: { ...other.velocity },
+                    isGrounded: other.isGrounded
+                })),
+            tick: this.tick + 1,
+            elapsedTime: (this.tick + 1) / TICK_RATE,
+            rules: {
+                tickRate: TICK_RATE,
+                substeps: SUBSTEPS,
+                aiTimeout: AI_TIMEOUT,
+                gridSize: GRID_SIZE,
+                playerSize: PLAYER_SIZE,
+                lookaheadTicks: AI_LOOKAHEAD_TICKS,
+                solidTiles: [...SOLID_TILES], // Tile types the player collides with
+                physics: { ...state.physics }, // Of the current level, with its profile's name
+                match: {
+                    mode: this.rules.mode,
+                    countdownTicks: this.rules.countdownTicks,
+                    tickLimit: this.rules.tickLimit,
+                    deathPenaltyTicks: this.rules.deathPenaltyTicks,
+                    levels: this.levels.length
+                }
+            }
+        };
+    }
+    
+    // Advance the match by one tick. `actions[i]` is player i's AI output
+    // for this tick, or null if it produced nothing usable.
+    step(actions) {
+        if (this.over) return;
+        
+        this.tick++;
+        
+        const running = [];
+        const runningActions = [];
+        this.players.forEach((state, i) => {
+            if (state.finished) return;
+            
+            state.levelTicks++;
+            state.prevPosition = { ...state.position };
+            running.push(state);
+            runningActions.push(actions[i]);
+        });
+        
+        const events = this.arena
+            ? stepArenaTick(running, runningActions)
+            : running.map((state, i) => stepTick(state, runningActions[i]));
+            
+        running.forEach((state, i) => {
+            if (events[i] === 'lava') {
+                state.deaths++;
+                state.deathLocations.push({ level: state.currentLevel, tick: this.tick, x: state.position.x, y: state.position.y });
+                placeAtStart(state);
+            } else if (events[i] === 'goal') {
+                state.totalTicks += state.levelTicks;
+                state.completedLevelTicks.push(state.levelTicks);
+                this.loadLevel(state, state.currentLevel + 1);
+            }
+        });
+        
+        // Check for first finisher
+        this.players.forEach(state => {
+            if (state.finished && !this.firstFinisher) {
+                this.firstFinisher = state;
+                if (this.rules.countdownTicks !== null) {
+                    this.countdownStartTick = this.tick;
+                }
+            }
+        });
+        
+        // Check countdown and tick limit
+        if (this.players.every(p => p.finished) || this.remainingTicks === 0) {
+            this.over = true;
+        }
+    }
+    
+    // Other players sharing `state`'s world this tick (arena mode only)
+    opponentsOf(state) {
+        if (!this.arena) return [];
+        return this.players.filter(other =>
+            other !== state && !other.finished && other.currentLevel === state.currentLevel);
+    }
+    
+    // Ticks left before the finish countdown ends the match, or null
+    get countdownRemainingTicks() {
+        if (this.countdownStartTick === null) return null;
+        return Math.max(0, this.rules.countdownTicks - (this.tick - this.countdownStartTick));
+    }
+    
+    // Ticks left before the countdown or the tick limit ends the match,
+    // whichever comes first, or null while neither is running
+    get remainingTicks() {
+        const left = [this.countdownRemainingTicks];
+        if (this.rules.tickLimit !== null) {
+            left.push(Math.max(0, this.rules.tickLimit - this.tick));
+        }
+        const running = left.filter(ticks => ticks !== null);
+        return running.length > 0 ? Math.min(...running) : null;
+    }
+}
+
+// DEFAULT_MATCH_RULES overridden by `rules`, checked. A time trial has no
+// finish countdown and gets TIME_TRIAL_TICKS if it has no tick limit.
+// Throws on rules no match could be played with.
+function matchRules(rules = {}) {
+    const full = { ...DEFAULT_MATCH_RULES, ...rules };
+    const isTicks = (value, min) => Number.isInteger(value) && value >= min;
+    
+    if (!MATCH_MODES.includes(full.mode)) {
+        throw new Error(`Unknown match mode: ${full.mode}`);
+    }
+    if (!isTicks(full.bestOf, 1)) {
+        throw new Error('A series needs at least one race');
+    }
+    if (full.countdownTicks !== null && !isTicks(full.countdownTicks, 0)) {
+        throw new Error('The finish countdown cannot be negative');
+    }
+    if (full.tickLimit !== null && !isTicks(full.tickLimit, 1)) {
+        throw new Error('The tick limit must be at least one tick');
+    }
+    if (!isTicks(full.deathPenaltyTicks, 0)) {
+        throw new Error('The death penalty cannot be negative');
+    }
+    if (!PHYSICS_PROFILE_NAMES.includes(full.physics)) {
+        throw new Error(`Unknown physics profile: ${full.physics}`);
+    }
+    
+    if (full.mode === 'time-trial') {
+        full.countdownTicks = null;
+        if (full.tickLimit === null) full.tickLimit = TIME_TRIAL_TICKS;
+    }
+    return full;
+}
+
+// One line for the results screen, e.g. "RACE, BEST OF 3, +2s PER DEATH"
+function describeRules(rules) {
+    const seconds = ticks => `${ticks / TICK_RATE}s`;
+    const parts = [rules.mode.replace('-', ' ').toUpperCase()];
+    if (rules.bestOf > 1) parts.push(`BEST OF ${rules.bestOf}`);
+    if (rules.mode === 'time-trial') {
+        parts.push(`${seconds(rules.tickLimit)} LIMIT`);
+    } else {
+        parts.push(rules.countdownTicks === null ? 'NO COUNTDOWN' : `${seconds(rules.countdownTicks)} COUNTDOWN`);
+        if (rules.tickLimit !== null) parts.push(`${seconds(rules.tickLimit)} LIMIT`);
+    }
+    if (rules.deathPenaltyTicks > 0) parts.push(`+${seconds(rules.deathPenaltyTicks)} PER DEATH`);
+    if (rules.physics !== 'default') parts.push(`${rules.physics.toUpperCase()} PHYSICS`);
+    return parts.join(', ');
+}
+
+// A player's ticks as ranked: the levels it finished plus the death
+// penalty for every lava death
+function rankingTicks(state, rules = DEFAULT_MATCH_RULES) {
+    return state.totalTicks + state.deaths * rules.deathPenaltyTicks;
+}
+
+// Orders player states by levels completed, then rankingTicks(). Ticks
+// only separate players who finished: they do not include the level still
+// in progress, so they say nothing about who is further along in it. In
+// 'fewest-deaths' matches, fewer deaths come before ticks. Returns
+// [{ rank, state }] with equal rank for tied players.
+function rankPlayers(states, rules = DEFAULT_MATCH_RULES) {
+    const compare = (a, b) => {
+        if (a.currentLevel !== b.currentLevel) return b.currentLevel - a.currentLevel;
+        if (rules.mode === 'fewest-deaths' && a.deaths !== b.deaths) return a.deaths - b.deaths;
+        if (a.finished && b.finished) return rankingTicks(a, rules) - rankingTicks(b, rules);
+        return 0;
+    };
+    const sorted = states.slice().sort(compare);
+    return sorted.map((state, i) => {
+        let rank = i + 1;
+        while (rank > 1 && compare(sorted[rank - 2], state) === 0) rank--;
+        return { rank, state };
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GRID_SIZE,
+        PLAYER_SIZE,
+        TICK_RATE,
+        TICK_INTERVAL,
+        SUBSTEPS,
+        STEP_DT,
+        AI_TIMEOUT,
+        FINISH_COUNTDOWN,
+        FINISH_COUNTDOWN_TICKS,
+        TIME_TRIAL_TICKS,
+        MAX_MATCH_TICKS,
+        MATCH_MODES,
+        DEFAULT_MATCH_RULES,
+        GRAVITY,
+        MAX_HORIZONTAL_FORCE,
+        JUMP_FORCE,
+        FRICTION,
+        AIR_RESISTANCE,
+        MAX_VELOCITY_X,
+        MAX_VELOCITY_Y,
+        AI_LOOKAHEAD_TICKS,
+        ICE_FRICTION,
+        CONVEYOR_SPEED,
+        BOUNCE_FORCE,
+        WATER_GRAVITY,
+        DEFAULT_PHYSICS,
+        PHYSICS_PROFILES,
+        PHYSICS_PROFILE_NAMES,
+        SOLID_TILES,
+        createPlayerState,
+        tileAt,
+        placeAtStart,
+        moverPosition,
+        timerOn,
+        crumbleState,
+        zoneEffects,
+        effectiveTile,
+        stepTick,
+        stepArenaTick,
+        resolvePlayerCollisions,
+        applyAIOutput,
+        stepPhysics,
+        handleCollisions,
+        touchesTile,
+        describeLevelObjects,
+        Simulation,
+        matchRules,
+        describeRules,
+        rankingTicks,
+        rankPlayers
+    };
+}
@@ -0,0 +1,151 @@
+// ============================================
+// AI PLATFORMER BATTLE - Match Telemetry
+// ============================================
+//
+// Per-level statistics for every player of a match: splits, lava deaths
+// and where they happened, jumps, AI errors and timeouts, and how long the
+// AI took to think. What the simulation keeps itself (splits, deaths,
+// jumps) is read from its player states; the rest comes from the AI
+// responses handed to record() each tick. No DOM here, so it also loads
+// in Node.
+
+const TELEMETRY_VERSION = 1;
+
+// Columns of telemetryToCSV(), one row per player and level
+const TELEMETRY_CSV_COLUMNS = [
+    'player', 'code_hash', 'level', 'completed', 'ticks', 'time', 'deaths', 'jumps',
+    'errors', 'timeouts', 'average_ai_ms', 'death_locations'
+];
+
+function emptyLevelStats() {
+    return { jumps: 0, errors: 0, timeouts: 0, aiRuns: 0, aiTime: 0 };
+}
+
+// Two decimals are plenty for positions and milliseconds
+function roundStat(value) {
+    return Math.round(value * 100) / 100;
+}
+
+class MatchTelemetry {
+    constructor(simulation, codeHashes, seed) {
+        this.simulation = simulation;
+        this.codeHashes = codeHashes;
+        this.seed = seed;
+        this.levels = simulation.players.map(() => []); // Per player: emptyLevelStats() per level reached
+        this.tickLevels = simulation.players.map(state => state.currentLevel); // Level each player's next tick starts on
+        this.jumps = simulation.players.map(state => state.jumps); // Jumps already counted
+    }
+    
+    // Call after simulation.step(). `responses[i]` is what player i's
+    // AIWorker.run() resolved with this tick, or null if its AI did not run.
+    // Everything counts towards the level the tick started on.
+    record(responses) {
+        this.simulation.players.forEach((state, i) => {
+            const level = this.tickLevels[i];
+            const stats = this.levels[i][level] || (this.levels[i][level] = emptyLevelStats());
+            
+            const response = responses[i];
+            if (response) {
+                if (response.status === 'error') stats.errors++;
+                if (response.status === 'timeout') stats.timeouts++;
+                if (response.duration !== null) {
+                    stats.aiRuns++;
+                    stats.aiTime += response.duration;
+                }
+            }
+            stats.jumps += state.jumps - this.jumps[i];
+            this.jumps[i] = state.jumps;
+            this.tickLevels[i] = state.currentLevel;
+        });
+    }
+    
+    toJSON() {
+        return {
+            version: TELEMETRY_VERSION,
+            seed: this.seed,
+            arena: this.simulation.arena,
+            rules: this.simulation.rules,
+            ticks: this.simulation.tick,
+            players: this.simulation.players.map((state, i) => this.playerStats(state, i))
+        };
+    }
+    
+    // A player's levels, from the first to the one it stopped on, and
+    // their totals. `totalTicks` only counts finished levels, as in the
+    // ranking; `ticks` also counts the level in progress.
+    playerStats(state, i) {
+        const reached = state.finished ? state.completedLevelTicks.length : state.currentLevel + 1;
+        const levels = [];
+        for (let level = 0; level < reached; level++) {
+            const stats = this.levels[i][level] || emptyLevelStats();
+            const completed = level < state.completedLevelTicks.length;
+            const ticks = completed ? state.completedLevelTicks[level] : state.levelTicks;
+            const deathLocations = state.deathLocations
+                .filter(death => death.level === level)
+                .map(death => ({ tick: death.tick, x: roundStat(death.x), y: roundStat(death.y) }));
+            levels.push({
+                level: level + 1,
+                completed,
+                ticks,
+                time: ticks / TICK_RATE,
+                deaths: deathLocations.length,
+                deathLocations,
+                jumps: stats.jumps,
+                errors: stats.errors,
+                timeouts: stats.timeouts,
+                averageAITime: stats.aiRuns > 0 ? roundStat(stats.aiTime / stats.aiRuns) : null,
+                aiRuns: stats.aiRuns
+            });
+        }
+        
+        const sum = key => levels.reduce((total, level) => total + level[key], 0);
+        const aiRuns = sum('aiRuns');
+        const aiTime = this.levels[i].reduce((total, stats) => total + (stats ? stats.aiTime : 0), 0);
+        return {
+            id: state.id,
+            codeHash: this.codeHashes[i],
+            finished: state.finished,
+            levelsCompleted: state.completedLevelTicks.length,
+            totalTicks: state.totalTicks,
+            ticks: sum('ticks'),
+            time: sum('ticks') / TICK_RATE,
+            deaths: sum('deaths'),
+            jumps: sum('jumps'),
+            errors: sum('errors'),
+            timeouts: sum('timeouts'),
+            averageAITime: aiRuns > 0 ? roundStat(aiTime / aiRuns) : null,
+            levels: levels.map(({ aiRuns, ...level }) => level)
+        };
+    }
+}
+
+// The JSON from MatchTelemetry.toJSON() as CSV: one row per player and
+// level, then an 'all' row with each player's totals. Death locations are
+// "x y" pairs separated by semicolons.
+function telemetryToCSV(stats) {
+    const rows = [TELEMETRY_CSV_COLUMNS];
+    const value = v => v === null ? '' : v;
+    stats.players.forEach(player => {
+        player.levels.forEach(level => {
+            rows.push([
+                player.id, player.codeHash, level.level, level.completed, level.ticks, level.time,
+                level.deaths, level.jumps, level.errors, level.timeouts, value(level.averageAITime),
+                level.deathLocations.map(death => `${death.x} ${death.y}`).join(';')
+            ]);
+        });
+        rows.push([
+            player.id, player.codeHash, 'all', player.finished, player.ticks, player.time,
+            player.deaths, player.jumps, player.errors, player.timeouts, value(player.averageAITime), ''
+        ]);
+    });
+    return rows.map(row => row.join(',')).join('\n') + '\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TELEMETRY_VERSION,
+        TELEMETRY_CSV_COLUMNS,
+        MatchTelemetry,
+        telemetryToCSV
+    };
+}
@@ -0,0 +1,296 @@
+// ============================================
+// AI PLATFORMER BATTLE - Tournament Screen
+// ============================================
+//
+// Registers named AIs and plays a Tournament (tournament.js) between them
+// on the levels, seed, arena setting and rules picked on the setup screen
+// (each game is a single race, whatever the best-of setting). Games
+// are not drawn: each tick runs as soon as both AIs have answered, so a
+// game takes as long as its AIs think rather than real time. Elo ratings
+// are kept per AI name in localStorage, across tournaments and sessions.
+
+const ELO_STORAGE_KEY = 'ai-platformer-battle.elo';
+const TOURNAMENT_PROGRESS_INTERVAL = 50; // Ticks between progress updates
+
+// Tournament State
+let tournamentEntries = []; // { item, nameInput, codeInput } per registered AI
+let tournament = null;
+let tournamentNames = []; // Entrant names of `tournament`, best-rated first
+let tournamentRunning = false;
+let tournamentWorkers = []; // AIWorkers of the game in progress
+let eloRatings = loadEloRatings(); // { [name]: { rating, games } }
+
+// DOM Elements
+const entrantListEl = document.getElementById('entrant-list');
+const entrantTemplate = document.getElementById('entrant-template');
+const entrantFilesInput = document.getElementById('entrant-files-input');
+const tournamentFormatEl = document.getElementById('tournament-format');
+const gamesPerPairingEl = document.getElementById('games-per-pairing');
+const tournamentRunBtn = document.getElementById('tournament-run-btn');
+const tournamentStopBtn = document.getElementById('tournament-stop-btn');
+const tournamentProgressEl = document.getElementById('tournament-progress');
+const standingsBodyEl = document.getElementById('standings-body');
+const tournamentLogEl = document.getElementById('tournament-log');
+
+// Ratings
+function loadEloRatings() {
+    try {
+        return JSON.parse(localStorage.getItem(ELO_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn('Could not load Elo ratings:', e);
+        return {};
+    }
+}
+
+function saveEloRatings() {
+    try {
+        localStorage.setItem(ELO_STORAGE_KEY, JSON.stringify(eloRatings));
+    } catch (e) {
+        console.warn('Could not save Elo ratings:', e);
+    }
+}
+
+function eloRating(name) {
+    return eloRatings[name] ? eloRatings[name].rating : ELO_INITIAL;
+}
+
+// Rate both entrants of a recorded game
+function rateGame(record) {
+    const names = record.players.map(entrant => tournamentNames[entrant]);
+    const ratings = eloUpdate(eloRating(names[0]), eloRating(names[1]), gameScore(record, record.players[0]));
+    names.forEach((name, i) => {
+        const games = eloRatings[name] ? eloRatings[name].games : 0;
+        eloRatings[name] = { rating: ratings[i], games: games + 1 };
+    });
+    saveEloRatings();
+}
+
+// Entrants
+function addEntrant(name = '', code = '') {
+    const item = entrantTemplate.content.firstElementChild.cloneNode(true);
+    const entry = {
+        item,
+        nameInput: item.querySelector('input'),
+        codeInput: item.querySelector('textarea')
+    };
+    entry.nameInput.value = name;
+    entry.codeInput.value = code;
+    item.querySelector('button').addEventListener('click', () => {
+        tournamentEntries = tournamentEntries.filter(other => other !== entry);
+        item.remove();
+    });
+    tournamentEntries.push(entry);
+    entrantListEl.appendChild(item);
+}
+
+// { names, codes } of the registered AIs, or null after alerting why
+// they cannot play
+function readEntrants() {
+    const names = tournamentEntries.map(entry => entry.nameInput.value.trim());
+    const codes = tournamentEntries.map(entry => entry.codeInput.value);
+    
+    if (names.length < 2) {
+        alert('Register at least two AIs');
+        return null;
+    }
+    const unnamed = names.indexOf('');
+    if (unnamed !== -1) {
+        alert(`AI ${unnamed + 1} needs a name`);
+        return null;
+    }
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate !== undefined) {
+        alert(`Two AIs are named ${duplicate}; names identify ratings, so they must differ`);
+        return null;
+    }
+    return { names, codes };
+}
+
+// Running
+// Play one game as fast as the AIs answer. Resolves with the finished
+// simulation, or null if the tournament was stopped meanwhile.
+async function playTournamentGame(codes, levels, seed, arena, rules, progress) {
+    const match = new Simulation(levels.map(parseLevel), codes.length, { arena, rules });
+    tournamentWorkers = codes.map((code, i) => new AIWorker(i + 1, code, seed));
+    await Promise.all(tournamentWorkers.map(worker => worker.start()));
+    const memoryLevels = match.players.map(state => state.currentLevel);
+    
+    while (tournamentRunning && !match.over && match.tick < MAX_MATCH_TICKS) {
+        const actions = await Promise.all(match.players.map((state, i) => {
+            if (state.finished) return null;
+            
+            // Reset memory per level, as Player.executeAI() does
+            const resetMemory = memoryLevels[i] !== state.currentLevel;
+            memoryLevels[i] = state.currentLevel;
+            return tournamentWorkers[i].run(match.getAIInput(i), resetMemory).then(response => response.output);
+        }));
+        if (!tournamentRunning) break;
+        match.step(actions);
+        
+        if (match.tick % TOURNAMENT_PROGRESS_INTERVAL === 0) {
+            progress(match.tick);
+        }
+    }
+    
+    stopTournamentWorkers();
+    return tournamentRunning ? match : null;
+}
+
+function stopTournamentWorkers() {
+    tournamentWorkers.forEach(worker => worker.terminate());
+    tournamentWorkers = [];
+}
+
+async function runTournament() {
+    const entrants = readEntrants();
+    const levels = selectedLevels();
+    if (!entrants || !checkMatchLevels(levels)) return;
+    const rules = checkMatchRules(setupRules());
+    if (!rules) return;
+    
+    const seed = parseSeed(seedInput.value);
+    seedInput.value = seed;
+    const arena = arenaInput.checked;
+    
+    // Best-rated first, which is also the bracket seeding
+    const order = entrants.names.map((name, i) => i)
+        .sort((a, b) => eloRating(entrants.names[b]) - eloRating(entrants.names[a]));
+    tournamentNames = order.map(i => entrants.names[i]);
+    const codes = order.map(i => entrants.codes[i]);
+    
+    tournament = new Tournament(codes.length, {
+        format: tournamentFormatEl.value,
+        gamesPerPairing: parseInt(gamesPerPairingEl.value, 10) || 1,
+        seed
+    });
+    tournamentLogEl.innerHTML = '';
+    setTournamentRunning(true);
+    renderStandings();
+    
+    let game;
+    while (tournamentRunning && (game = tournament.nextGame())) {
+        const label = `GAME ${tournament.gamesPlayed + 1}/${tournament.totalGames}: ` +
+            game.players.map(entrant => tournamentNames[entrant]).join(' vs ');
+        tournamentProgressEl.textContent = label;
+        
+        const match = await playTournamentGame(game.players.map(entrant => codes[entrant]), levels, game.seed, arena, rules,
+            tick => { tournamentProgressEl.textContent = `${label} - tick ${tick}`; });
+        if (!match) break;
+        
+        const ranking = rankPlayers(match.players, rules);
+        const record = tournament.recordGame(game, {
+            ranks: match.players.map(state => ranking.find(entry => entry.state === state).rank),
+            totalTicks: match.players.map(state => rankingTicks(state, rules)),
+            finished: match.players.map(state => state.finished)
+        });
+        rateGame(record);
+        logGame(record, game.pairing.round);
+        renderStandings();
+    }
+    
+    if (tournament.over) {
+        tournamentProgressEl.textContent = tournament.champion !== null
+            ? `${tournamentNames[tournament.champion]} WINS THE BRACKET!`
+            : 'TOURNAMENT OVER';
+    } else {
+        tournamentProgressEl.textContent = `STOPPED AFTER ${tournament.gamesPlayed}/${tournament.totalGames} GAMES`;
+    }
+    setTournamentRunning(false);
+}
+
+// Takes effect after the tick in flight, at most AI_TIMEOUT later (or
+// AI_BOOT_TIMEOUT while a game's AIs are loading)
+function stopTournament() {
+    tournamentRunning = false;
+}
+
+function setTournamentRunning(running) {
+    tournamentRunning = running;
+    tournamentRunBtn.disabled = running;
+    tournamentStopBtn.disabled = !running;
+}
+
+// Rendering
+function renderStandings() {
+    standingsBodyEl.innerHTML = '';
+    tournament.standings().forEach((row, i) => {
+        const name = tournamentNames[row.entrant];
+        const tr = document.createElement('tr');
+        [
+            i + 1,
+            name,
+            row.played,
+            row.wins,
+            row.draws,
+            row.losses,
+            row.averageTicks === null ? '-' : Math.round(row.averageTicks),
+            Math.round(eloRating(name))
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            tr.appendChild(cell);
+        });
+        standingsBodyEl.appendChild(tr);
+    });
+}
+
+// One line per game, with the seed so it can be replayed on the setup screen
+function logGame(record, round) {
+    const names = record.players.map(entrant => tournamentNames[entrant]);
+    const score = gameScore(record, record.players[0]);
+    let text = `${names[0]} and ${names[1]} draw`;
+    if (score !== 0.5) {
+        text = score === 1 ? `${names[0]} beats ${names[1]}` : `${names[1]} beats ${names[0]}`;
+    }
+    
+    const item = document.createElement('li');
+    item.textContent = `R${round + 1}: ${text} (seed ${record.seed})`;
+    tournamentLogEl.appendChild(item);
+    tournamentLogEl.scrollTop = tournamentLogEl.scrollHeight;
+}
+
+function openTournament() {
+    showScreen('tournament-screen');
+}
+
+function closeTournament() {
+    stopTournament();
+    showScreen('setup-screen');
+}
+
+// Event Listeners
+document.getElementById('tournament-btn').addEventListener('click', openTournament);
+document.getElementById('tournament-back-btn').addEventListener('click', closeTournament);
+document.getElementById('add-entrant-btn').addEventListener('click', () => addEntrant());
+tournamentRunBtn.addEventListener('click', runTournament);
+tournamentStopBtn.addEventListener('click', stopTournament);
+
+// The setup screen's AIs, as PLAYER 1, PLAYER 2, ...
+document.getElementById('setup-entrants-btn').addEventListener('click', () => {
+    codeEditors.forEach((editor, i) => addEntrant(`PLAYER ${i + 1}`, editor.value));
+});
+
+// Every saved AI, at its newest version
+document.getElementById('library-entrants-btn').addEventListener('click', () => {
+    aiLibrary.names().forEach(name => addEntrant(name, aiLibrary.latest(name)));
+});
+
+document.getElementById('entrant-files-btn').addEventListener('click', () => entrantFilesInput.click());
+
+entrantFilesInput.addEventListener('change', async () => {
+    const files = Array.from(entrantFilesInput.files);
+    entrantFilesInput.value = '';
+    for (const file of files) {
+        addEntrant(file.name.replace(/\.[^.]*$/, ''), await file.text());
+    }
+});
+
+document.getElementById('reset-ratings-btn').addEventListener('click', () => {
+    if (!confirm('Forget every saved Elo rating?')) return;
+    eloRatings = {};
+    saveEloRatings();
+    if (tournament) renderStandings();
+});
+
+// Initialize
+setTournamentRunning(false);
@@ -0,0 +1,264 @@
+// ============================================
+// AI PLATFORMER BATTLE - Tournaments
+// ============================================
+//
+// Scheduling and scoring for tournaments of one-on-one games between
+// registered AIs, plus the Elo maths. Entrants are only indexes here; the
+// tournament screen owns their names and code, plays each game
+// Tournament.nextGame() hands out and reports it back with recordGame().
+// No DOM here, so it also loads in Node.
+
+const ELO_INITIAL = 1500;
+const ELO_K = 32; // Most a rating can move in one game
+
+const TOURNAMENT_FORMATS = ['round-robin', 'bracket'];
+
+// Expected score (0..1) of a player rated `rating` against `opponentRating`
+function eloExpected(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// Ratings after one game. `score` is A's result: 1 win, 0.5 draw, 0 loss.
+function eloUpdate(ratingA, ratingB, score) {
+    const change = ELO_K * (score - eloExpected(ratingA, ratingB));
+    return [ratingA + change, ratingB - change];
+}
+
+// Every pair of `count` entrants once, as rounds in which nobody plays
+// twice (the circle method), so a tournament stopped early has still
+// spread its games across everyone. Returns [[[a, b], ...], ...].
+function roundRobinRounds(count) {
+    const slots = Array.from({ length: count }, (_, i) => i);
+    if (count % 2 === 1) slots.push(null); // Sits the round out
+    
+    const rounds = [];
+    for (let r = 0; r < slots.length - 1; r++) {
+        const round = [];
+        for (let i = 0; i < slots.length / 2; i++) {
+            const a = slots[i];
+            const b = slots[slots.length - 1 - i];
+            if (a !== null && b !== null) round.push([a, b]);
+        }
+        rounds.push(round);
+        slots.splice(1, 0, slots.pop()); // Rotate everyone but the first
+    }
+    return rounds;
+}
+
+// Bracket positions of seeds 0..size-1 (size a power of two), so the top
+// seeds can only meet in the last rounds: 4 -> [0, 3, 1, 2]
+function bracketSeedOrder(size) {
+    let order = [0];
+    while (order.length < size) {
+        const count = order.length * 2;
+        order = order.flatMap(seed => [seed, count - 1 - seed]);
+    }
+    return order;
+}
+
+class Tournament {
+    // `format` is 'round-robin' or 'bracket'. Bracket seeding follows the
+    // entrant order, best first; byes go to the top seeds.
+    constructor(entrantCount, { format = 'round-robin', gamesPerPairing = 1, seed = 0 } = {}) {
+        if (!TOURNAMENT_FORMATS.includes(format)) {
+            throw new Error(`Unknown tournament format: ${format}`);
+        }
+        if (entrantCount < 2) {
+            throw new Error('A tournament needs at least two entrants');
+        }
+        this.entrantCount = entrantCount;
+        this.format = format;
+        this.gamesPerPairing = gamesPerPairing;
+        this.seed = seed;
+        this.rounds = []; // [[pairing, ...], ...] in play order
+        this.champion = null; // Entrant index once a bracket is decided
+        
+        if (format === 'round-robin') {
+            this.rounds = roundRobinRounds(entrantCount).map((pairs, round) =>
+                pairs.map(([a, b]) => this.createPairing(round, a, b)));
+        } else {
+            let size = 2;
+            while (size < entrantCount) size *= 2;
+            const order = bracketSeedOrder(size).map(seed => seed < entrantCount ? seed : null);
+            const pairs = [];
+            for (let i = 0; i < size; i += 2) {
+                pairs.push([order[i], order[i + 1]]);
+            }
+            this.addBracketRound(pairs);
+        }
+    }
+    
+    // One pairing plays `gamesPerPairing` games; in a bracket its winner
+    // goes through. `b` is null for a bye.
+    createPairing(round, a, b) {
+        const pairing = { round, a, b, games: [], done: false, winner: null };
+        if (b === null) {
+            pairing.done = true;
+            pairing.winner = a;
+        }
+        return pairing;
+    }
+    
+    addBracketRound(pairs) {
+        const round = this.rounds.length;
+        this.rounds.push(pairs.map(([a, b]) => this.createPairing(round, a, b)));
+        this.advanceBracket();
+    }
+    
+    // Start the next round once every pairing of the last one is decided
+    advanceBracket() {
+        const last = this.rounds[this.rounds.length - 1];
+        if (!last.every(pairing => pairing.done)) return;
+        
+        const winners = last.map(pairing => pairing.winner);
+        if (winners.length === 1) {
+            this.champion = winners[0];
+            return;
+        }
+        const pairs = [];
+        for (let i = 0; i < winners.length; i += 2) {
+            pairs.push([winners[i], winners[i + 1]]);
+        }
+        this.addBracketRound(pairs);
+    }
+    
+    // Games with a bye excluded; a bracket's later rounds count too
+    get totalGames() {
+        const pairings = this.format === 'round-robin'
+            ? this.entrantCount * (this.entrantCount - 1) / 2
+            : this.entrantCount - 1;
+        return pairings * this.gamesPerPairing;
+    }
+    
+    get gamesPlayed() {
+        return this.pairings().reduce((sum, pairing) => sum + pairing.games.length, 0);
+    }
+    
+    get over() {
+        return this.nextGame() === null;
+    }
+    
+    pairings() {
+        return this.rounds.flat();
+    }
+    
+    // The next game to play, or null when the tournament is over.
+    // `players` are entrant indexes in player order; the pair swap sides
+    // every game, since player 1 wins exact ties in a shared arena.
+    nextGame() {
+        const pairing = this.pairings().find(candidate => !candidate.done);
+        if (!pairing) return null;
+        
+        const number = pairing.games.length;
+        return {
+            pairing,
+            number,
+            players: number % 2 === 0 ? [pairing.a, pairing.b] : [pairing.b, pairing.a],
+            seed: mixSeed(this.seed, pairing.round, pairing.a, pairing.b, number)
+        };
+    }
+    
+    // Record how a game from nextGame() went. `ranks`, `totalTicks` and
+    // `finished` are per player, in the game's player order (ranks as
+    // rankPlayers() gives them). Returns the stored game.
+    recordGame(game, { ranks, totalTicks, finished }) {
+        const record = { seed: game.seed, players: game.players, ranks, totalTicks, finished };
+        const pairing = game.pairing;
+        pairing.games.push(record);
+        
+        if (pairing.games.length >= this.gamesPerPairing) {
+            pairing.done = true;
+            if (this.format === 'bracket') {
+                pairing.winner = this.pairingWinner(pairing);
+                this.advanceBracket();
+            }
+        }
+        return record;
+    }
+    
+    // Most games won; then most games finished; then fewest ticks over
+    // those; then the better seed
+    pairingWinner(pairing) {
+        const finishedTicks = entrant => pairing.games.flatMap(game => {
+            const i = game.players.indexOf(entrant);
+            return game.finished[i] ? [game.totalTicks[i]] : [];
+        });
+        const wins = entrant => pairing.games.filter(game => gameScore(game, entrant) === 1).length;
+        const finished = entrant => finishedTicks(entrant).length;
+        const total = entrant => finishedTicks(entrant).reduce((sum, ticks) => sum + ticks, 0);
+        
+        const [a, b] = [pairing.a, pairing.b];
+        if (wins(a) !== wins(b)) return wins(a) > wins(b) ? a : b;
+        if (finished(a) !== finished(b)) return finished(a) > finished(b) ? a : b;
+        if (total(a) !== total(b)) return total(a) < total(b) ? a : b;
+        return Math.min(a, b);
+    }
+    
+    // [{ entrant, played, wins, draws, losses, averageTicks }], best first.
+    // averageTicks covers the games the entrant finished (null if none).
+    // A bracket ranks by the round reached before anything else.
+    standings() {
+        const rows = Array.from({ length: this.entrantCount }, (_, entrant) => ({
+            entrant, played: 0, wins: 0, draws: 0, losses: 0, averageTicks: null,
+            reached: 0, finishedTicks: []
+        }));
+        
+        this.pairings().forEach(pairing => {
+            [pairing.a, pairing.b].forEach(entrant => {
+                if (entrant === null) return;
+                rows[entrant].reached = Math.max(rows[entrant].reached, pairing.round + 1);
+            });
+            pairing.games.forEach(game => {
+                game.players.forEach((entrant, i) => {
+                    const row = rows[entrant];
+                    const score = gameScore(game, entrant);
+                    row.played++;
+                    if (score === 1) row.wins++;
+                    else if (score === 0.5) row.draws++;
+                    else row.losses++;
+                    if (game.finished[i]) row.finishedTicks.push(game.totalTicks[i]);
+                });
+            });
+        });
+        if (this.champion !== null) rows[this.champion].reached++;
+        
+        rows.forEach(row => {
+            if (row.finishedTicks.length > 0) {
+                row.averageTicks = row.finishedTicks.reduce((sum, ticks) => sum + ticks, 0) / row.finishedTicks.length;
+            }
+        });
+        
+        const ticksOrLast = row => row.averageTicks === null ? Infinity : row.averageTicks;
+        rows.sort((p, q) =>
+            (this.format === 'bracket' ? q.reached - p.reached : 0) ||
+            q.wins - p.wins ||
+            q.draws - p.draws ||
+            ticksOrLast(p) - ticksOrLast(q) ||
+            p.entrant - q.entrant);
+            
+        return rows.map(({ entrant, played, wins, draws, losses, averageTicks }) =>
+            ({ entrant, played, wins, draws, losses, averageTicks }));
+    }
+}
+
+// 1, 0.5 or 0 for `entrant` in a recorded game
+function gameScore(game, entrant) {
+    const i = game.players.indexOf(entrant);
+    const other = game.ranks[1 - i];
+    if (game.ranks[i] === other) return 0.5;
+    return game.ranks[i] < other ? 1 : 0;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ELO_INITIAL,
+        ELO_K,
+        TOURNAMENT_FORMATS,
+        eloExpected,
+        eloUpdate,
+        roundRobinRounds,
+        bracketSeedOrder,
+        Tournament,
+        gameScore
+    };
+}